@@ -0,0 +1,170 @@
+// checks for the values of each type of attribute
+var types = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean'
+};
+
+/**
+ * Declared custom attributes of user profiles (e.g. department, phone,
+ * locale).
+ * The auth db stores whatever values it's given: the schema decides which
+ * attributes exist, which values they accept, who can write them and which
+ * ones are included in tokens.
+ */
+class AttributeSchema {
+  /**
+   * @param attributes object mapping attribute names to objects containing
+   * the following (optional) fields:
+   * - type: one of string, number, integer, boolean (defaults to string)
+   * - required: whether every user must have a value, which can't be removed
+   *   (defaults to false)
+   * - adminOnly: whether only admins can write the attribute, e.g. an
+   *   employee ID (defaults to false)
+   * - inToken: whether the attribute is included in tokens (defaults to
+   *   false)
+   */
+  constructor (attributes = {}) {
+    this.attributes = AttributeSchema.parseDeclarations(attributes);
+  }
+
+  /**
+   * Fill in the defaults of the attribute declarations accepted by the
+   * constructor, throwing an error if any of them is invalid (e.g. to check
+   * a configuration)
+   * @param attributes object mapping attribute names to their declarations
+   */
+  static parseDeclarations (attributes = {}) {
+    // no prototype, so that names such as constructor or __proto__ are not
+    // mistaken for declared attributes
+    let declarations = Object.create(null);
+    for (let name in attributes) {
+      let attribute = Object.assign({
+        type: 'string',
+        required: false,
+        adminOnly: false,
+        inToken: false
+      }, attributes[name]);
+      if (!Object.prototype.hasOwnProperty.call(types, attribute.type)) {
+        throw new Error('Unknown type of attribute ' + name + ': ' + attribute.type);
+      }
+      declarations[name] = attribute;
+    }
+    return declarations;
+  }
+
+  /**
+   * Check the attributes being written to a user profile.
+   * Returns the list of the problems found (an empty array if the attributes
+   * can be written), each one being an object containing the fields
+   * attribute and message
+   * @param attributes object mapping attribute names to their new values
+   *   (null removes a value)
+   * @param options object containing the following (optional) fields:
+   * - admin: whether the attributes are written by an admin (defaults to
+   *   false)
+   * - create: whether the user is being created, in which case the required
+   *   attributes the writer can write must be present (defaults to false)
+   */
+  validate (attributes, options = {}) {
+    if (typeof attributes !== 'object' || attributes === null ||
+        Array.isArray(attributes)) {
+      return [{
+        attribute: null,
+        message: 'Attributes must be an object'
+      }];
+    }
+    let failedAttributes = [];
+    for (let name in attributes) {
+      let attribute = this.attributes[name];
+      let value = attributes[name];
+      if (!attribute) {
+        failedAttributes.push({
+          attribute: name,
+          message: 'Unknown attribute'
+        });
+      } else if (attribute.adminOnly && !options.admin) {
+        failedAttributes.push({
+          attribute: name,
+          message: 'Attribute can only be changed by admins'
+        });
+      } else if (value === null) {
+        if (attribute.required) {
+          failedAttributes.push({
+            attribute: name,
+            message: 'Attribute is required'
+          });
+        }
+      } else if (!types[attribute.type](value)) {
+        failedAttributes.push({
+          attribute: name,
+          message: 'Attribute must be of type ' + attribute.type
+        });
+      }
+    }
+    if (options.create) {
+      for (let name in this.attributes) {
+        let attribute = this.attributes[name];
+        if (attribute.required && (options.admin || !attribute.adminOnly) &&
+            (typeof attributes[name] === 'undefined' || attributes[name] === null)) {
+          failedAttributes.push({
+            attribute: name,
+            message: 'Attribute is required'
+          });
+        }
+      }
+    }
+    return failedAttributes;
+  }
+
+  /**
+   * Convert the text representation of a value (e.g. a CSV cell) to the type
+   * of an attribute. Values that can't be converted (and values of unknown
+   * attributes) are returned as they are, so that validate reports them
+   * @param name
+   * @param text
+   */
+  parseValue (name, text) {
+    let attribute = this.attributes[name];
+    if (!attribute || attribute.type === 'string') {
+      return text;
+    }
+    if (attribute.type === 'boolean') {
+      return text === 'true' ? true : text === 'false' ? false : text;
+    }
+    let value = Number(text);
+    return text.trim() !== '' && !isNaN(value) ? value : text;
+  }
+
+  /**
+   * Return only the declared attributes among the ones stored for a user
+   * (attributes removed from the schema are ignored)
+   * @param attributes
+   */
+  filter (attributes) {
+    let declaredAttributes = {};
+    for (let name in attributes || {}) {
+      if (name in this.attributes) {
+        declaredAttributes[name] = attributes[name];
+      }
+    }
+    return declaredAttributes;
+  }
+
+  /**
+   * Return the attributes of a user that have to be included in tokens
+   * @param attributes
+   */
+  tokenAttributes (attributes) {
+    let tokenAttributes = this.filter(attributes);
+    for (let name in tokenAttributes) {
+      if (!this.attributes[name].inToken) {
+        delete tokenAttributes[name];
+      }
+    }
+    return tokenAttributes;
+  }
+}
+
+module.exports = AttributeSchema;
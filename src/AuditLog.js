@@ -0,0 +1,111 @@
+var fs = require('fs');
+
+/**
+ * Compute the fields that differ between two snapshots of an object (e.g. a
+ * user before and after an update).
+ * Returns an object containing the fields before and after, each one
+ * containing only the changed fields, or null if there's nothing to compare
+ * @param before (optional)
+ * @param after (optional)
+ */
+function diff (before, after) {
+  if (!before && !after) {
+    return null;
+  }
+  let changes = {before: {}, after: {}};
+  let fields = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  for (let field of fields) {
+    let beforeValue = before ? before[field] : undefined;
+    let afterValue = after ? after[field] : undefined;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.before[field] = beforeValue === undefined ? null : beforeValue;
+      changes.after[field] = afterValue === undefined ? null : afterValue;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record of authentication events and admin actions.
+ * Records are stored in the auth db and, optionally, appended to a file (one
+ * JSON object per line) so that they can be shipped elsewhere.
+ * A record that can't be written is logged instead: auditing must never make
+ * the request that is being audited fail.
+ */
+class AuditLog {
+  /**
+   * @param authDB auth db where records are stored
+   * @param options object containing the following (optional) fields:
+   * - file: file records are appended to, in addition to the auth db
+   * - maxAge: how long (in seconds) records are kept in the auth db, or 0 to
+   *   keep them forever (defaults to 90 days); older records are deleted as
+   *   new ones are added
+   * @param logger logger used to report records that can't be written
+   */
+  constructor (authDB, options = {}, logger) {
+    this.authDB = authDB;
+    this.options = Object.assign({
+      file: null,
+      maxAge: 90 * 24 * 60 * 60
+    }, options);
+    this.logger = logger || console;
+  }
+
+  /**
+   * Record an event
+   * @param event object containing the following fields:
+   * - action: what happened (e.g. 'login', 'user-delete')
+   * - actor: username of whoever performed the action (if known)
+   * - target: what the action was performed on (e.g. a username or a group)
+   * - ip: IP of the client
+   * - success: whether the action succeeded (defaults to true)
+   * - before: snapshot of the target before the action (optional)
+   * - after: snapshot of the target after the action (optional)
+   */
+  async record (event) {
+    let record = {
+      date: Math.floor(Date.now() / 1000),
+      action: event.action,
+      actor: event.actor || null,
+      target: event.target || null,
+      ip: event.ip || null,
+      success: event.success !== false,
+      changes: diff(event.before, event.after)
+    };
+    try {
+      await this.authDB.addAuditRecord(record);
+      if (this.options.maxAge) {
+        await this.authDB.deleteExpiredAuditRecords(record.date -
+          this.options.maxAge);
+      }
+      if (this.options.file) {
+        await new Promise((resolve, reject) => {
+          fs.appendFile(this.options.file, JSON.stringify(record) + '\n', 'utf8',
+            (err) => err ? reject(err) : resolve());
+        });
+      }
+    } catch (e) {
+      this.logger.error('Cannot write audit record ' + JSON.stringify(record) +
+        ': ' + e.message);
+    }
+  }
+
+  /**
+   * Return the records matching the given filters, most recent first
+   * @param filters object containing the following (optional) fields:
+   * - user: username that is either the actor or the target
+   * - action
+   * - since: UNIX time of the earliest record
+   * - until: UNIX time of the latest record
+   * - limit: maximum number of records (defaults to 100)
+   * - offset: number of records to skip (defaults to 0)
+   */
+  async query (filters = {}) {
+    return this.authDB.getAuditRecords(Object.assign({
+      limit: 100,
+      offset: 0
+    }, filters));
+  }
+}
+
+module.exports = AuditLog;
@@ -1,44 +1,314 @@
 var fs = require('fs');
+var util = require('util');
 var PasswordHandler = require('./PasswordHandler');
 
-function writeJSONFile (filename, data) {
-  return new Promise((resolve, reject) => {
-    fs.writeFile(filename, JSON.stringify(data), 'utf8', function (err) {
-      if (err) reject(err);
-      else resolve(data);
-    });
-  });
+// version of the format of the file, stored in the file itself: files
+// written by older versions are upgraded when the db is initialized, files
+// written by newer versions are refused
+var formatVersion = 1;
+
+/**
+ * Write a file atomically: the contents are written (and flushed) to a
+ * temporary file, which then replaces the original one, so that a crash
+ * can't leave a truncated file behind
+ */
+async function writeFileAtomic (filename, contents) {
+  let temporaryFilename = filename + '.' + process.pid + '.tmp';
+  let fd = await util.promisify(fs.open)(temporaryFilename, 'w');
+  try {
+    await util.promisify(fs.write)(fd, contents, null, 'utf8');
+    await util.promisify(fs.fsync)(fd);
+  } finally {
+    await util.promisify(fs.close)(fd);
+  }
+  await util.promisify(fs.rename)(temporaryFilename, filename);
+}
+
+/**
+ * Whether a process is running
+ */
+function isProcessRunning (pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM means the process exists but belongs to someone else
+    return e.code === 'EPERM';
+  }
+}
+
+// tables keyed by names chosen by users (e.g. usernames and group names)
+var keyedTables = ['users', 'groups', 'refreshTokens', 'clients',
+  'authorizationCodes', 'serviceAccounts', 'totp', 'loginAttempts',
+  'passwordHistory', 'oneTimeTokens'];
+
+/**
+ * Turn the tables keyed by names chosen by users into objects without a
+ * prototype, so that names like __proto__ or constructor are plain keys
+ * instead of clashing with the properties inherited from Object.prototype
+ */
+function removePrototypes (fileContents) {
+  for (let table of keyedTables) {
+    fileContents[table] = Object.assign(Object.create(null), fileContents[table]);
+  }
+  return fileContents;
 }
 
+// fields users can be sorted by (see findUsers)
+var userSortFields = ['username', 'email', 'firstName', 'lastName'];
+
+/**
+ * Compare two strings, for sorting
+ */
+function compare (a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Auth db stored in a JSON file.
+ * The whole db is kept in memory and the file is rewritten (atomically)
+ * after every change, one write at a time. A lock file next to the db file
+ * makes sure that only one process uses it.
+ */
 class FileAuthDB {
-  constructor (config) {
+  /**
+   * @param config object containing the following fields:
+   * - filename: file the db is stored in
+   * - passwordHashing: options passed to PasswordHandler.hashPassword
+   * - lockFile: whether to create a lock file (<filename>.lock) preventing
+   *   other processes from using the db at the same time (defaults to true)
+   * - watchFile: whether to reload the db when the file is changed by
+   *   someone else, e.g. edited by hand (defaults to false)
+   * @param logger logger used to report changes that can't be reloaded
+   *   (defaults to console)
+   */
+  constructor (config, logger) {
     this.filename = config.filename;
+    // options passed to PasswordHandler.hashPassword
+    this.passwordHashing = config.passwordHashing;
+    this.lockFile = config.lockFile !== false;
+    this.watchFile = Boolean(config.watchFile);
+    this.logger = logger || console;
+    this.fileContents = this.load();
+    // writes are chained, so that they happen one at a time and in order
+    this.writeQueue = Promise.resolve();
+    // last contents written to (or read from) the file, used to tell our own
+    // writes from external changes
+    this.lastContents = null;
+    this.releaseLockOnExit = () => this.releaseLock();
+  }
+
+  /**
+   * Read the contents of the db
+   */
+  load () {
+    let contents;
     try {
-      this.fileContents = JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+      contents = fs.readFileSync(this.filename, 'utf8');
     } catch (e) {
       // unable to read file, create an empty db
-      this.fileContents = {};
+      return {};
     }
+    this.lastContents = contents;
+    return JSON.parse(contents);
   }
 
-  async initialize () {
+  /**
+   * Persist the contents of the db (called after every change)
+   */
+  async save () {
+    let contents = JSON.stringify(this.fileContents);
+    let write = this.writeQueue.then(() => {
+      this.lastContents = contents;
+      return writeFileAtomic(this.filename, contents);
+    });
+    // a failed write must not prevent the following ones
+    this.writeQueue = write.catch(() => {});
+    await write;
+  }
+
+  /**
+   * Create the lock file, failing if another running process holds it
+   */
+  acquireLock () {
+    if (!this.lockFile) {
+      return;
+    }
+    let lockFilename = this.filename + '.lock';
+    try {
+      fs.writeFileSync(lockFilename, String(process.pid), {flag: 'wx'});
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+      let pid = Number(fs.readFileSync(lockFilename, 'utf8'));
+      if (pid !== process.pid && isProcessRunning(pid)) {
+        throw new Error('The auth db ' + this.filename + ' is being used by ' +
+          'another process (pid ' + pid + ', see ' + lockFilename + ')');
+      }
+      // the lock is ours or it has been left behind by a process that died
+      fs.writeFileSync(lockFilename, String(process.pid));
+    }
+    process.on('exit', this.releaseLockOnExit);
+  }
+
+  releaseLock () {
+    if (!this.lockFile) {
+      return;
+    }
+    process.removeListener('exit', this.releaseLockOnExit);
+    try {
+      if (Number(fs.readFileSync(this.filename + '.lock', 'utf8')) === process.pid) {
+        fs.unlinkSync(this.filename + '.lock');
+      }
+    } catch (e) {
+      // already gone
+    }
+  }
+
+  /**
+   * Reload the db if the file has been changed by someone else
+   */
+  reload () {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.filename, 'utf8');
+    } catch (e) {
+      return;
+    }
+    if (contents === this.lastContents) {
+      return;
+    }
+    // keep the current contents if the file is not valid (e.g. because
+    // it's still being written) or has been written by a newer version
+    let fileContents;
+    try {
+      fileContents = JSON.parse(contents);
+      this.upgrade(fileContents);
+    } catch (e) {
+      this.logger.error('Cannot reload the auth db ' + this.filename + ': ' +
+        e.message);
+      return;
+    }
+    this.lastContents = contents;
+    this.fileContents = fileContents;
+  }
+
+  /**
+   * Bring the contents of the db (by default the current ones) up to date
+   * with the current format.
+   * Returns whether they have been changed
+   */
+  upgrade (fileContents = this.fileContents) {
+    let version = fileContents.formatVersion || 0;
+    if (version > formatVersion) {
+      throw new Error('The auth db ' + this.filename + ' has been written by ' +
+        'a newer version (format version ' + version + ')');
+    }
+
     // create the 'users' table if it doesn't exist
-    if (!('users' in this.fileContents)) {
-      this.fileContents.users = {};
+    if (!('users' in fileContents)) {
+      fileContents.users = {};
     }
     // create the 'groups' table if it doesn't exist
-    if (!('groups' in this.fileContents)) {
-      this.fileContents.groups = {};
+    if (!('groups' in fileContents)) {
+      fileContents.groups = {};
+    }
+    // create the 'refreshTokens' table if it doesn't exist
+    if (!('refreshTokens' in fileContents)) {
+      fileContents.refreshTokens = {};
+    }
+    // create the 'revokedTokens' table if it doesn't exist
+    if (!('revokedTokens' in fileContents)) {
+      fileContents.revokedTokens = [];
+    }
+    // create the 'signingKeys' table if it doesn't exist
+    if (!('signingKeys' in fileContents)) {
+      fileContents.signingKeys = [];
+    }
+    // create the 'clients' table if it doesn't exist
+    if (!('clients' in fileContents)) {
+      fileContents.clients = {};
+    }
+    // create the 'authorizationCodes' table if it doesn't exist
+    if (!('authorizationCodes' in fileContents)) {
+      fileContents.authorizationCodes = {};
+    }
+    // create the 'serviceAccounts' table if it doesn't exist
+    if (!('serviceAccounts' in fileContents)) {
+      fileContents.serviceAccounts = {};
+    }
+    // create the 'totp' table if it doesn't exist
+    if (!('totp' in fileContents)) {
+      fileContents.totp = {};
+    }
+    // create the 'loginAttempts' table if it doesn't exist
+    if (!('loginAttempts' in fileContents)) {
+      fileContents.loginAttempts = {};
+    }
+    // create the 'passwordHistory' table if it doesn't exist
+    if (!('passwordHistory' in fileContents)) {
+      fileContents.passwordHistory = {};
+    }
+    // create the 'oneTimeTokens' table if it doesn't exist
+    if (!('oneTimeTokens' in fileContents)) {
+      fileContents.oneTimeTokens = {};
+    }
+    // create the 'auditLog' table if it doesn't exist
+    if (!('auditLog' in fileContents)) {
+      fileContents.auditLog = [];
+    }
+    removePrototypes(fileContents);
+    fileContents.formatVersion = formatVersion;
+    return version < formatVersion;
+  }
+
+  async initialize () {
+    this.acquireLock();
+    if (this.upgrade()) {
+      await this.save();
+    }
+    if (this.watchFile && !this.watching) {
+      fs.watchFile(this.filename, {persistent: false, interval: 1000},
+        () => this.reload());
+      this.watching = true;
     }
   }
 
+  async close () {
+    // wait for the pending writes
+    await this.writeQueue;
+    if (this.watching) {
+      fs.unwatchFile(this.filename);
+      this.watching = false;
+    }
+    this.releaseLock();
+  }
+
   async authenticateUser (username, password) {
-    return username in this.fileContents.users &&
-      await PasswordHandler.verifyPassword(password, this.fileContents.users[username].password);
+    if (!(username in this.fileContents.users)) {
+      return false;
+    }
+    let combinedHash = this.fileContents.users[username].password;
+    if (!(await PasswordHandler.verifyPassword(password, combinedHash))) {
+      return false;
+    }
+    // take this chance to upgrade hashes generated with outdated settings
+    if (PasswordHandler.needsRehash(combinedHash, this.passwordHashing)) {
+      await this.setUserPassword(username, password);
+    }
+    return true;
   }
 
-  async getUserGroups (username) {
-    return this.fileContents.users[username].groups;
+  /**
+   * Return the groups a user belongs to
+   * @param username
+   * @param effective whether to include the groups the user belongs to
+   *   through nested groups (defaults to false)
+   */
+  async getUserGroups (username, effective = false) {
+    let groups = this.fileContents.users[username].groups;
+    return effective ? this.expandGroups(groups) : groups;
   }
 
   async getUserEmail (username) {
@@ -57,37 +327,99 @@ class FileAuthDB {
     let user = {
       username: username,
       email: this.fileContents.users[username].email,
+      emailVerified: Boolean(this.fileContents.users[username].emailVerified),
       firstName: this.fileContents.users[username].firstName,
       lastName: this.fileContents.users[username].lastName,
-      groups: this.fileContents.users[username].groups
+      groups: this.fileContents.users[username].groups,
+      status: this.fileContents.users[username].status || 'active',
+      attributes: await this.getUserAttributes(username)
     };
     return user;
   }
 
+  async hasUser (username) {
+    return username in this.fileContents.users;
+  }
+
+  /**
+   * Return the custom attributes of a user, as an object mapping attribute
+   * names to their values
+   */
+  async getUserAttributes (username) {
+    return Object.assign({}, this.fileContents.users[username].attributes);
+  }
+
+  /**
+   * Set some custom attributes of a user, leaving the other ones alone
+   * @param username
+   * @param attributes object mapping attribute names to their new values
+   *   (null removes a value)
+   */
+  async setUserAttributes (username, attributes) {
+    let userAttributes = await this.getUserAttributes(username);
+    for (let name in attributes) {
+      if (attributes[name] === null) {
+        delete userAttributes[name];
+      } else {
+        userAttributes[name] = attributes[name];
+      }
+    }
+    this.fileContents.users[username].attributes = userAttributes;
+    await this.save();
+  }
+
   async setUserGroups (username, groups) {
     this.fileContents.users[username].groups = groups;
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
   }
 
-  async setUserEmail (username, email) {
+  /**
+   * Change the email of a user. A new email is not verified unless
+   * emailVerified is true
+   */
+  async setUserEmail (username, email, emailVerified = false) {
     this.fileContents.users[username].email = email;
-    await writeJSONFile(this.filename, this.fileContents);
+    this.fileContents.users[username].emailVerified = emailVerified;
+    await this.save();
+  }
+
+  async setUserStatus (username, status) {
+    this.fileContents.users[username].status = status;
+    await this.save();
+  }
+
+  async setUserEmailVerified (username, emailVerified) {
+    this.fileContents.users[username].emailVerified = emailVerified;
+    await this.save();
   }
 
   async setUserFirstName (username, firstName) {
     this.fileContents.users[username].firstName = firstName;
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
   }
 
   async setUserLastName (username, lastName) {
     this.fileContents.users[username].lastName = lastName;
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
   }
 
   async setUserPassword (username, password) {
-    let combinedHash = await PasswordHandler.hashPassword(password);
+    let combinedHash = await PasswordHandler.hashPassword(password, this.passwordHashing);
     this.fileContents.users[username].password = combinedHash;
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
+  }
+
+  /**
+   * Return the username of the user with the given email (or null if there's
+   * no such user)
+   */
+  async getUsernameByEmail (email) {
+    for (let username in this.fileContents.users) {
+      if (this.fileContents.users[username].email === email) {
+        return username;
+      }
+    }
+    return null;
   }
 
   async getUsernames () {
@@ -95,47 +427,203 @@ class FileAuthDB {
   }
 
   async getUsers () {
-    return this.fileContents.users;
+    return (await this.findUsers()).users;
+  }
+
+  /**
+   * Search users (see SQLAuthDB.findUsers)
+   */
+  async findUsers (query = {}) {
+    let q = query.q ? String(query.q).toLowerCase() : null;
+    let users = Object.keys(this.fileContents.users)
+      .map((username) => this.fileContents.users[username])
+      .filter((user) => !q || ['username', 'email', 'firstName', 'lastName']
+        .some((field) => String(user[field] || '').toLowerCase().indexOf(q) >= 0))
+      .filter((user) => !query.group || user.groups.indexOf(query.group) >= 0);
+    let sort = userSortFields.indexOf(query.sort) >= 0 ? query.sort : 'username';
+    let direction = query.order === 'desc' ? -1 : 1;
+    users.sort((a, b) => {
+      let comparison = compare(a[sort] || '', b[sort] || '') ||
+        compare(a.username, b.username);
+      return comparison * direction;
+    });
+    let offset = query.offset || 0;
+    let limit = typeof query.limit === 'number' ? query.limit : users.length;
+    return {
+      users: await Promise.all(users.slice(offset, offset + limit)
+        .map((user) => this.getUser(user.username))),
+      total: users.length
+    };
+  }
+
+  /**
+   * Return every user, including the password hash (see
+   * SQLAuthDB.exportUsers)
+   */
+  async exportUsers () {
+    return (await this.findUsers()).users.map((user) => ({
+      username: user.username,
+      passwordHash: this.fileContents.users[user.username].password,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      status: user.status,
+      groups: user.groups,
+      attributes: user.attributes
+    }));
+  }
+
+  /**
+   * Create or update many users at once (see SQLAuthDB.importUsers): the
+   * changes are applied to a copy of the db, which replaces it only if they
+   * all succeed
+   */
+  async importUsers (users) {
+    let result = {
+      created: [],
+      updated: []
+    };
+    let fileContents = removePrototypes(JSON.parse(JSON.stringify(this.fileContents)));
+    for (let user of users) {
+      let existingUser = fileContents.users[user.username];
+      if (existingUser) {
+        result.updated.push(user.username);
+      } else {
+        existingUser = fileContents.users[user.username] = {
+          username: user.username,
+          groups: [],
+          email: '',
+          emailVerified: false,
+          firstName: '',
+          lastName: '',
+          status: 'active'
+        };
+        result.created.push(user.username);
+      }
+      // a new email hasn't been verified, unless the record says otherwise
+      if (typeof user.email !== 'undefined' && user.email !== existingUser.email &&
+          typeof user.emailVerified === 'undefined') {
+        existingUser.emailVerified = false;
+      }
+      for (let field of ['email', 'emailVerified', 'firstName', 'lastName', 'status']) {
+        if (typeof user[field] !== 'undefined') {
+          existingUser[field] = user[field];
+        }
+      }
+      if (user.passwordHash) {
+        existingUser.password = user.passwordHash;
+      }
+      if (user.groups) {
+        for (let group of user.groups) {
+          if (!(group in fileContents.groups)) {
+            fileContents.groups[group] = {};
+          }
+        }
+        existingUser.groups = user.groups.slice();
+      }
+      if (user.attributes) {
+        existingUser.attributes = Object.assign({}, existingUser.attributes);
+        for (let name in user.attributes) {
+          if (user.attributes[name] === null) {
+            delete existingUser.attributes[name];
+          } else {
+            existingUser.attributes[name] = user.attributes[name];
+          }
+        }
+      }
+    }
+    this.fileContents = fileContents;
+    await this.save();
+    return result;
   }
 
   async getGroups () {
     return Object.keys(this.fileContents.groups);
   }
 
-  async addUser (username, password) {
+  /**
+   * Add a user. Returns false if the username is already taken
+   * @param username
+   * @param password
+   * @param status one of active, pending (defaults to active)
+   */
+  async addUser (username, password, status = 'active') {
     if (username in this.fileContents.users) {
       return false;
     }
-    let combinedHash = await PasswordHandler.hashPassword(password);
+    let combinedHash = await PasswordHandler.hashPassword(password, this.passwordHashing);
     this.fileContents.users[username] = {
       username: username,
       password: combinedHash,
       groups: [],
       email: '',
+      emailVerified: false,
       firstName: '',
-      lastName: ''
+      lastName: '',
+      status: status
     };
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
     return true;
   }
 
+  /**
+   * Delete a user, along with everything stored about it. Revoked tokens are
+   * kept, since the tokens they revoke may still be around
+   */
   async deleteUser (username) {
     if (!(username in this.fileContents.users)) {
       return false;
     }
     delete this.fileContents.users[username];
-    await writeJSONFile(this.filename, this.fileContents);
+    this.deleteUserTokens(username);
+    delete this.fileContents.totp[username];
+    delete this.fileContents.passwordHistory[username];
+    await this.save();
     return true;
   }
 
+  /**
+   * Change the username of a user. Groups, attributes, two-factor
+   * authentication and password history move to the new username, while
+   * refresh tokens, authorization codes and one-time tokens issued to the old
+   * one are deleted (revoking the access tokens is up to the caller).
+   * Throws an error if the user doesn't exist or the new username is taken
+   */
   async renameUser (username, newUsername) {
-    if (!(username in this.fileContents.users)) {
-      throw new Error('Cannot rename user ' + username + 'because it doesn\'t exist');
+    let users = this.fileContents.users;
+    if (!(username in users)) {
+      throw new Error('Cannot rename user ' + username + ' because it doesn\'t exist');
+    }
+    if (newUsername in users) {
+      throw new Error('Cannot rename user ' + username + ' to ' + newUsername +
+        ' because it already exists');
+    }
+    users[newUsername] = Object.assign(users[username], {username: newUsername});
+    delete users[username];
+    for (let table of [this.fileContents.totp, this.fileContents.passwordHistory]) {
+      if (username in table) {
+        table[newUsername] = table[username];
+        delete table[username];
+      }
+    }
+    this.deleteUserTokens(username);
+    await this.save();
+  }
+
+  /**
+   * Delete the refresh tokens, authorization codes and one-time tokens
+   * issued to a user (without saving)
+   */
+  deleteUserTokens (username) {
+    for (let table of [this.fileContents.refreshTokens,
+      this.fileContents.authorizationCodes, this.fileContents.oneTimeTokens]) {
+      for (let tokenHash in table) {
+        if (table[tokenHash].username === username) {
+          delete table[tokenHash];
+        }
+      }
     }
-    Object.assign(this.fileContents.users[newUsername],
-      this.fileContents.users[username]);
-    delete this.fileContents.users[username];
-    await writeJSONFile(this.filename, this.fileContents);
   }
 
   async addGroup (group) {
@@ -143,16 +631,168 @@ class FileAuthDB {
       return false;
     }
     this.fileContents.groups[group] = {};
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
     return true;
   }
 
   async deleteGroup (group) {
-    if (!(group in this.fileContents.group)) {
+    if (!(group in this.fileContents.groups)) {
       return false;
     }
     delete this.fileContents.groups[group];
-    await writeJSONFile(this.filename, this.fileContents);
+    // remove the group from its members too
+    let members = Object.values(this.fileContents.users)
+      .concat(Object.values(this.fileContents.serviceAccounts));
+    for (let member of members) {
+      member.groups = member.groups.filter((memberGroup) => memberGroup !== group);
+    }
+    for (let otherGroup of Object.values(this.fileContents.groups)) {
+      if (otherGroup.subgroups) {
+        otherGroup.subgroups = otherGroup.subgroups
+          .filter((subgroup) => subgroup !== group);
+      }
+    }
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Return the given groups along with all the groups containing them,
+   * directly or through other groups (sorted and without duplicates)
+   */
+  async expandGroups (groups) {
+    let effectiveGroups = new Set(groups);
+    let newGroups = Array.from(effectiveGroups);
+    // walk up the hierarchy one level at a time
+    while (newGroups.length > 0) {
+      let parents = Object.keys(this.fileContents.groups).filter((group) =>
+        (this.fileContents.groups[group].subgroups || [])
+          .some((subgroup) => newGroups.indexOf(subgroup) >= 0));
+      newGroups = parents.filter((group) => !effectiveGroups.has(group));
+      newGroups.forEach((group) => effectiveGroups.add(group));
+    }
+    return Array.from(effectiveGroups).sort();
+  }
+
+  /**
+   * Return the groups directly contained in a group (sorted)
+   */
+  async getSubgroups (group) {
+    return group in this.fileContents.groups
+      ? (this.fileContents.groups[group].subgroups || []).slice().sort() : [];
+  }
+
+  /**
+   * Return the whole group hierarchy, as an object mapping group names to
+   * arrays of subgroups (groups without subgroups are omitted)
+   */
+  async getGroupHierarchy () {
+    let hierarchy = {};
+    for (let group of Object.keys(this.fileContents.groups).sort()) {
+      let subgroups = this.fileContents.groups[group].subgroups || [];
+      if (subgroups.length > 0) {
+        hierarchy[group] = subgroups.slice().sort();
+      }
+    }
+    return hierarchy;
+  }
+
+  /**
+   * Make a group contain another one.
+   * Returns false if either group doesn't exist, if the subgroup is already
+   * contained in the group or if this would create a cycle (i.e. the group is
+   * contained in the subgroup)
+   */
+  async addSubgroup (group, subgroup) {
+    if (!(group in this.fileContents.groups) || !(subgroup in this.fileContents.groups)) {
+      return false;
+    }
+    let subgroups = this.fileContents.groups[group].subgroups || [];
+    if (subgroups.indexOf(subgroup) >= 0 ||
+        (await this.expandGroups([group])).indexOf(subgroup) >= 0) {
+      return false;
+    }
+    this.fileContents.groups[group].subgroups = subgroups.concat([subgroup]);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Remove a group from another one.
+   * Returns false if the subgroup wasn't contained in the group
+   */
+  async removeSubgroup (group, subgroup) {
+    let subgroups = await this.getSubgroups(group);
+    if (subgroups.indexOf(subgroup) < 0) {
+      return false;
+    }
+    this.fileContents.groups[group].subgroups = subgroups
+      .filter((otherSubgroup) => otherSubgroup !== subgroup);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Return the permissions granted to any of the given groups (sorted and
+   * without duplicates)
+   */
+  async getGroupPermissions (groups) {
+    let permissions = new Set();
+    for (let group of groups) {
+      if (group in this.fileContents.groups) {
+        for (let permission of this.fileContents.groups[group].permissions || []) {
+          permissions.add(permission);
+        }
+      }
+    }
+    return Array.from(permissions).sort();
+  }
+
+  /**
+   * Return the permissions of every group, as an object mapping group names
+   * to arrays of permissions (groups without permissions are omitted)
+   */
+  async getPermissions () {
+    let permissions = {};
+    for (let group of Object.keys(this.fileContents.groups).sort()) {
+      let groupPermissions = this.fileContents.groups[group].permissions || [];
+      if (groupPermissions.length > 0) {
+        permissions[group] = groupPermissions.slice().sort();
+      }
+    }
+    return permissions;
+  }
+
+  /**
+   * Grant a permission to the members of a group.
+   * Returns false if the group doesn't exist or already has the permission
+   */
+  async addGroupPermission (group, permission) {
+    if (!(group in this.fileContents.groups)) {
+      return false;
+    }
+    let groupPermissions = this.fileContents.groups[group].permissions || [];
+    if (groupPermissions.indexOf(permission) >= 0) {
+      return false;
+    }
+    this.fileContents.groups[group].permissions = groupPermissions.concat([permission]);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Revoke a permission from a group.
+   * Returns false if the group didn't have the permission
+   */
+  async removeGroupPermission (group, permission) {
+    let groupPermissions = group in this.fileContents.groups
+      ? this.fileContents.groups[group].permissions || [] : [];
+    if (groupPermissions.indexOf(permission) < 0) {
+      return false;
+    }
+    this.fileContents.groups[group].permissions = groupPermissions
+      .filter((groupPermission) => groupPermission !== permission);
+    await this.save();
     return true;
   }
 
@@ -163,7 +803,7 @@ class FileAuthDB {
     if (this.fileContents.users[username].groups.indexOf(group) < 0) {
       this.fileContents.users[username].groups.push(group);
     }
-    await writeJSONFile(this.filename, this.fileContents);
+    await this.save();
     return true;
   }
 
@@ -175,7 +815,526 @@ class FileAuthDB {
     if (index >= 0) {
       this.fileContents.users[username].groups.splice(index, 1);
     }
-    return await writeJSONFile(this.filename, this.fileContents);
+    return await this.save();
+  }
+
+  async addRefreshToken (tokenHash, username, family, expirationDate,
+    clientId = null, scope = null) {
+    this.fileContents.refreshTokens[tokenHash] = {
+      username: username,
+      family: family,
+      expirationDate: expirationDate,
+      used: false,
+      clientId: clientId,
+      scope: scope
+    };
+    await this.save();
+  }
+
+  async getRefreshToken (tokenHash) {
+    if (!(tokenHash in this.fileContents.refreshTokens)) {
+      return null;
+    }
+    // tokens stored by previous versions have no clientId nor scope
+    return Object.assign({tokenHash: tokenHash, clientId: null, scope: null},
+      this.fileContents.refreshTokens[tokenHash]);
+  }
+
+  /**
+   * Mark a refresh token as used.
+   * Returns false if the token had already been used (or doesn't exist)
+   */
+  async useRefreshToken (tokenHash) {
+    let refreshToken = this.fileContents.refreshTokens[tokenHash];
+    if (!refreshToken || refreshToken.used) {
+      return false;
+    }
+    refreshToken.used = true;
+    await this.save();
+    return true;
+  }
+
+  async revokeRefreshTokenFamily (family) {
+    for (let tokenHash in this.fileContents.refreshTokens) {
+      if (this.fileContents.refreshTokens[tokenHash].family === family) {
+        delete this.fileContents.refreshTokens[tokenHash];
+      }
+    }
+    await this.save();
+  }
+
+  async revokeUserRefreshTokens (username) {
+    for (let tokenHash in this.fileContents.refreshTokens) {
+      if (this.fileContents.refreshTokens[tokenHash].username === username) {
+        delete this.fileContents.refreshTokens[tokenHash];
+      }
+    }
+    await this.save();
+  }
+
+  async deleteExpiredRefreshTokens () {
+    let now = Math.floor(Date.now() / 1000);
+    for (let tokenHash in this.fileContents.refreshTokens) {
+      if (this.fileContents.refreshTokens[tokenHash].expirationDate < now) {
+        delete this.fileContents.refreshTokens[tokenHash];
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Revoke a single token.
+   * Returns false if the token had already been revoked
+   */
+  async revokeToken (jti, username, expirationDate) {
+    if (this.fileContents.revokedTokens.some((revokedToken) => revokedToken.jti === jti)) {
+      return false;
+    }
+    this.fileContents.revokedTokens.push({
+      jti: jti,
+      username: username,
+      revocationDate: Date.now(),
+      expirationDate: expirationDate
+    });
+    await this.save();
+    return true;
+  }
+
+  async revokeUserTokens (username, expirationDate) {
+    this.fileContents.revokedTokens.push({
+      jti: null,
+      username: username,
+      revocationDate: Date.now(),
+      expirationDate: expirationDate
+    });
+    await this.save();
+  }
+
+  /**
+   * Check whether a token has been revoked, either by itself (through its jti)
+   * or because all the tokens issued to its user before a given date have
+   * been revoked.
+   * Revocation dates are in milliseconds, while the issue date is the iat
+   * claim of the token (in seconds, with a fractional part for the tokens we
+   * sign), so that tokens issued right after a revocation are still valid
+   */
+  async isTokenRevoked (jti, username, issueDate) {
+    return this.fileContents.revokedTokens.some((revokedToken) =>
+      (jti && revokedToken.jti === jti) ||
+      (!revokedToken.jti && revokedToken.username === username &&
+        revokedToken.revocationDate > Math.round(issueDate * 1000)));
+  }
+
+  async deleteExpiredRevokedTokens () {
+    let now = Math.floor(Date.now() / 1000);
+    this.fileContents.revokedTokens = this.fileContents.revokedTokens.filter(
+      (revokedToken) => revokedToken.expirationDate >= now);
+    await this.save();
+  }
+
+  async getSigningKeys () {
+    return this.fileContents.signingKeys.map((signingKey) =>
+      Object.assign({}, signingKey));
+  }
+
+  async addSigningKey (signingKey) {
+    this.fileContents.signingKeys.push({
+      kid: signingKey.kid,
+      algorithm: signingKey.algorithm,
+      signingKey: signingKey.signingKey,
+      verificationKey: signingKey.verificationKey,
+      current: signingKey.current,
+      expirationDate: signingKey.expirationDate
+    });
+    await this.save();
+  }
+
+  async retireSigningKey (kid, expirationDate) {
+    for (let signingKey of this.fileContents.signingKeys) {
+      if (signingKey.kid === kid) {
+        signingKey.current = false;
+        signingKey.expirationDate = expirationDate;
+      }
+    }
+    await this.save();
+  }
+
+  async deleteExpiredSigningKeys () {
+    let now = Math.floor(Date.now() / 1000);
+    this.fileContents.signingKeys = this.fileContents.signingKeys.filter(
+      (signingKey) => !signingKey.expirationDate || signingKey.expirationDate >= now);
+    await this.save();
+  }
+
+  async getClients () {
+    return Object.keys(this.fileContents.clients).map((clientId) =>
+      Object.assign({clientId: clientId}, this.fileContents.clients[clientId]));
+  }
+
+  async getClient (clientId) {
+    if (!(clientId in this.fileContents.clients)) {
+      return null;
+    }
+    return Object.assign({clientId: clientId}, this.fileContents.clients[clientId]);
+  }
+
+  async addClient (client) {
+    if (client.clientId in this.fileContents.clients) {
+      return false;
+    }
+    this.fileContents.clients[client.clientId] = {
+      name: client.name,
+      redirectUris: client.redirectUris || [],
+      secretHash: client.secretHash || null
+    };
+    await this.save();
+    return true;
+  }
+
+  async updateClient (clientId, fields) {
+    if (!(clientId in this.fileContents.clients)) {
+      return false;
+    }
+    for (let field of ['name', 'redirectUris', 'secretHash']) {
+      if (field in fields) {
+        this.fileContents.clients[clientId][field] = fields[field];
+      }
+    }
+    await this.save();
+    return true;
+  }
+
+  async deleteClient (clientId) {
+    if (!(clientId in this.fileContents.clients)) {
+      return false;
+    }
+    delete this.fileContents.clients[clientId];
+    await this.save();
+    return true;
+  }
+
+  async addAuthorizationCode (codeHash, authorizationCode) {
+    this.fileContents.authorizationCodes[codeHash] = Object.assign({}, authorizationCode);
+    await this.save();
+  }
+
+  /**
+   * Return the authorization code with the given hash and delete it, so that
+   * it can't be used again. Returns null if there's no such code
+   */
+  async consumeAuthorizationCode (codeHash) {
+    if (!(codeHash in this.fileContents.authorizationCodes)) {
+      return null;
+    }
+    let authorizationCode = this.fileContents.authorizationCodes[codeHash];
+    delete this.fileContents.authorizationCodes[codeHash];
+    await this.save();
+    return authorizationCode;
+  }
+
+  async deleteExpiredAuthorizationCodes () {
+    let now = Math.floor(Date.now() / 1000);
+    for (let codeHash in this.fileContents.authorizationCodes) {
+      if (this.fileContents.authorizationCodes[codeHash].expirationDate < now) {
+        delete this.fileContents.authorizationCodes[codeHash];
+      }
+    }
+    await this.save();
+  }
+
+  async getServiceAccounts () {
+    return Object.keys(this.fileContents.serviceAccounts).map((clientId) =>
+      Object.assign({clientId: clientId}, this.fileContents.serviceAccounts[clientId]));
+  }
+
+  async getServiceAccount (clientId) {
+    if (!(clientId in this.fileContents.serviceAccounts)) {
+      return null;
+    }
+    return Object.assign({clientId: clientId}, this.fileContents.serviceAccounts[clientId]);
+  }
+
+  async addServiceAccount (serviceAccount) {
+    if (serviceAccount.clientId in this.fileContents.serviceAccounts) {
+      return false;
+    }
+    this.fileContents.serviceAccounts[serviceAccount.clientId] = {
+      name: serviceAccount.name,
+      secretHash: serviceAccount.secretHash,
+      disabled: false,
+      groups: serviceAccount.groups || []
+    };
+    await this.save();
+    return true;
+  }
+
+  async updateServiceAccount (clientId, fields) {
+    if (!(clientId in this.fileContents.serviceAccounts)) {
+      return false;
+    }
+    for (let field of ['name', 'secretHash', 'disabled', 'groups']) {
+      if (field in fields) {
+        this.fileContents.serviceAccounts[clientId][field] = fields[field];
+      }
+    }
+    await this.save();
+    return true;
+  }
+
+  async deleteServiceAccount (clientId) {
+    if (!(clientId in this.fileContents.serviceAccounts)) {
+      return false;
+    }
+    delete this.fileContents.serviceAccounts[clientId];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Return the TOTP enrollment of a user (including the hashes of the
+   * remaining recovery codes), or null if the user has none
+   */
+  async getTOTP (username) {
+    if (!(username in this.fileContents.totp)) {
+      return null;
+    }
+    let totp = this.fileContents.totp[username];
+    return Object.assign({}, totp, {recoveryCodes: totp.recoveryCodes.slice()});
+  }
+
+  /**
+   * Start a new (not yet enabled) TOTP enrollment, replacing any previous one
+   */
+  async setTOTP (username, secret) {
+    this.fileContents.totp[username] = {
+      secret: secret,
+      enabled: false,
+      lastUsedStep: 0,
+      recoveryCodes: []
+    };
+    await this.save();
+  }
+
+  /**
+   * Enable the TOTP enrollment of a user, along with a new set of recovery
+   * codes
+   */
+  async enableTOTP (username, recoveryCodeHashes) {
+    let totp = this.fileContents.totp[username];
+    if (!totp) {
+      return;
+    }
+    totp.enabled = true;
+    totp.recoveryCodes = recoveryCodeHashes.slice();
+    await this.save();
+  }
+
+  /**
+   * Record that a code for the given time step has been used.
+   * Returns false if a code for the same (or a later) time step had already
+   * been used
+   */
+  async useTOTPStep (username, step) {
+    let totp = this.fileContents.totp[username];
+    if (!totp || totp.lastUsedStep >= step) {
+      return false;
+    }
+    totp.lastUsedStep = step;
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Delete a recovery code once it's been used.
+   * Returns false if the code had already been used
+   */
+  async useRecoveryCode (username, codeHash) {
+    let totp = this.fileContents.totp[username];
+    let index = totp ? totp.recoveryCodes.indexOf(codeHash) : -1;
+    if (index < 0) {
+      return false;
+    }
+    totp.recoveryCodes.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  async deleteTOTP (username) {
+    if (!(username in this.fileContents.totp)) {
+      return false;
+    }
+    delete this.fileContents.totp[username];
+    await this.save();
+    return true;
+  }
+
+  async getLoginAttempts (key) {
+    if (!(key in this.fileContents.loginAttempts)) {
+      return null;
+    }
+    return Object.assign({key: key}, this.fileContents.loginAttempts[key]);
+  }
+
+  /**
+   * Replace a counter of failed login attempts, but only if it hasn't
+   * changed since it was read (see SQLAuthDB.updateLoginAttempts)
+   */
+  async updateLoginAttempts (key, expected, loginAttempts) {
+    let current = this.fileContents.loginAttempts[key];
+    if (expected ? !current || current.failures !== expected.failures ||
+        current.lastFailureDate !== expected.lastFailureDate ||
+        current.lockedUntil !== expected.lockedUntil : current) {
+      return false;
+    }
+    this.fileContents.loginAttempts[key] = {
+      failures: loginAttempts.failures,
+      lastFailureDate: loginAttempts.lastFailureDate,
+      lockedUntil: loginAttempts.lockedUntil
+    };
+    await this.save();
+    return true;
+  }
+
+  async deleteLoginAttempts (key) {
+    if (!(key in this.fileContents.loginAttempts)) {
+      return false;
+    }
+    delete this.fileContents.loginAttempts[key];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Delete the counters whose last failure happened before the given date
+   * (UNIX time)
+   */
+  async deleteExpiredLoginAttempts (date) {
+    for (let key in this.fileContents.loginAttempts) {
+      if (this.fileContents.loginAttempts[key].lastFailureDate < date) {
+        delete this.fileContents.loginAttempts[key];
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Return the hashes of the passwords previously assigned to a user, most
+   * recent first
+   */
+  async getPasswordHistory (username) {
+    return (this.fileContents.passwordHistory[username] || []).slice();
+  }
+
+  /**
+   * Add a password hash to the history of a user, keeping only the most
+   * recent maxEntries ones
+   */
+  async addPasswordHistory (username, passwordHash, maxEntries) {
+    let passwordHistory = this.fileContents.passwordHistory[username] || [];
+    this.fileContents.passwordHistory[username] =
+      [passwordHash].concat(passwordHistory).slice(0, maxEntries);
+    await this.save();
+  }
+
+  /**
+   * Store a single-use token
+   * @param tokenHash hash of the token
+   * @param oneTimeToken object containing the fields purpose, username,
+   * data (any JSON serializable value) and expirationDate
+   */
+  async addOneTimeToken (tokenHash, oneTimeToken) {
+    this.fileContents.oneTimeTokens[tokenHash] = {
+      purpose: oneTimeToken.purpose,
+      username: oneTimeToken.username,
+      data: oneTimeToken.data === undefined ? null : oneTimeToken.data,
+      expirationDate: oneTimeToken.expirationDate
+    };
+    await this.save();
+  }
+
+  async getOneTimeToken (tokenHash) {
+    if (!(tokenHash in this.fileContents.oneTimeTokens)) {
+      return null;
+    }
+    return Object.assign({tokenHash: tokenHash},
+      this.fileContents.oneTimeTokens[tokenHash]);
+  }
+
+  /**
+   * Delete a single-use token once it's been used.
+   * Returns false if the token had already been used
+   */
+  async consumeOneTimeToken (tokenHash) {
+    if (!(tokenHash in this.fileContents.oneTimeTokens)) {
+      return false;
+    }
+    delete this.fileContents.oneTimeTokens[tokenHash];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Delete all the single-use tokens issued to a user for the given purpose
+   */
+  async deleteUserOneTimeTokens (username, purpose) {
+    for (let tokenHash in this.fileContents.oneTimeTokens) {
+      let oneTimeToken = this.fileContents.oneTimeTokens[tokenHash];
+      if (oneTimeToken.username === username && oneTimeToken.purpose === purpose) {
+        delete this.fileContents.oneTimeTokens[tokenHash];
+      }
+    }
+    await this.save();
+  }
+
+  async deleteExpiredOneTimeTokens () {
+    let now = Math.floor(Date.now() / 1000);
+    for (let tokenHash in this.fileContents.oneTimeTokens) {
+      if (this.fileContents.oneTimeTokens[tokenHash].expirationDate < now) {
+        delete this.fileContents.oneTimeTokens[tokenHash];
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Store an audit record (see AuditLog.record)
+   */
+  async addAuditRecord (record) {
+    let auditLog = this.fileContents.auditLog;
+    let id = auditLog.length > 0 ? auditLog[auditLog.length - 1].id + 1 : 1;
+    auditLog.push(Object.assign({id: id}, record));
+    await this.save();
+  }
+
+  /**
+   * Delete the audit records older than the given date (UNIX time)
+   */
+  async deleteExpiredAuditRecords (date) {
+    let auditLog = this.fileContents.auditLog;
+    // records are sorted by date, as they are only ever appended
+    let expiredCount = 0;
+    while (expiredCount < auditLog.length && auditLog[expiredCount].date < date) {
+      expiredCount++;
+    }
+    if (expiredCount > 0) {
+      auditLog.splice(0, expiredCount);
+      await this.save();
+    }
+  }
+
+  /**
+   * Return the audit records matching the given filters, most recent first
+   * (see AuditLog.query)
+   */
+  async getAuditRecords (filters) {
+    return this.fileContents.auditLog
+      .filter((record) => (!filters.user ||
+          record.actor === filters.user || record.target === filters.user) &&
+        (!filters.action || record.action === filters.action) &&
+        (!filters.since || record.date >= filters.since) &&
+        (!filters.until || record.date <= filters.until))
+      .reverse()
+      .slice(filters.offset, filters.offset + filters.limit);
   }
 }
 
@@ -0,0 +1,164 @@
+var jwt = require('./jwt');
+
+/**
+ * Set of keys used to sign and verify tokens.
+ * The current key is used to sign new tokens, while every key in the keyring
+ * can be used to verify them (the right one is picked using the kid in the
+ * token header). When the keys are rotated, the previous current key is kept
+ * until all the tokens it has signed have expired.
+ *
+ * Keys are stored in the auth db, so that every instance sharing the same db
+ * (and the command line interface) sees the same keyring. Until the first
+ * rotation the keyring in the db is empty and the key provided through the
+ * configuration is used.
+ */
+class Keyring {
+  /**
+   * @param authDB auth db where keys are stored
+   * @param configKey key provided through the configuration (as returned by
+   * jwt.loadSigningKey)
+   * @param options object containing the following (optional) fields:
+   * - retiredKeyLifetime: how long (in seconds) a key can still be used for
+   *   verification after it has been replaced (it should be at least as long
+   *   as the token lifetime)
+   * - refreshInterval: how often (in seconds) keys are reloaded from the db
+   *   (defaults to 60)
+   */
+  constructor (authDB, configKey, options = {}) {
+    this.authDB = authDB;
+    this.configKey = configKey;
+    this.retiredKeyLifetime = options.retiredKeyLifetime || 60 * 60;
+    this.refreshInterval = typeof options.refreshInterval === 'undefined'
+      ? 60 : options.refreshInterval;
+    this.keys = [Object.assign({current: true, expirationDate: null}, configKey)];
+    this.loadDate = 0;
+  }
+
+  /**
+   * Load the keys from the db
+   */
+  async load () {
+    let now = Math.floor(Date.now() / 1000);
+    let keys = (await this.authDB.getSigningKeys()).filter((key) =>
+      !key.expirationDate || key.expirationDate >= now);
+    if (keys.length > 0) {
+      this.keys = keys.map((key) => Object.assign(key, {
+        jwk: key.algorithm === 'HS256'
+          ? null : jwt.publicKeyToJWK(key.verificationKey, key.algorithm, key.kid)
+      }));
+    } else {
+      this.keys = [Object.assign({current: true, expirationDate: null}, this.configKey)];
+    }
+    this.loadDate = Date.now();
+  }
+
+  /**
+   * Reload the keys from the db if they haven't been loaded for a while
+   * @param maxAge maximum age (in seconds) of the keys (defaults to the
+   * refresh interval)
+   */
+  async refresh (maxAge) {
+    if (typeof maxAge === 'undefined') {
+      maxAge = this.refreshInterval;
+    }
+    if (Date.now() - this.loadDate > maxAge * 1000) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Return the key used to sign new tokens
+   */
+  async getSigningKey () {
+    await this.refresh();
+    // if two rotations happened concurrently, pick the latest key
+    let currentKeys = this.keys.filter((key) => key.current);
+    return currentKeys[currentKeys.length - 1];
+  }
+
+  /**
+   * Return the key with the given kid (or null if there's no such key).
+   * Tokens signed before kids were introduced don't have one: they can only
+   * be verified with the key provided through the configuration
+   * @param kid
+   */
+  async getVerificationKey (kid) {
+    await this.refresh();
+    let findKey = () => this.keys.find((key) =>
+      key.kid === (kid || this.configKey.kid)) || null;
+    let key = findKey();
+    if (!key && kid) {
+      // the key might have been added by another instance: reload the keys,
+      // but not too often (the kid might just be a bogus one)
+      await this.refresh(5);
+      key = findKey();
+    }
+    return key;
+  }
+
+  /**
+   * Return the public keys as a JWKS
+   */
+  async getJWKS () {
+    await this.refresh();
+    return {
+      keys: this.keys.filter((key) => key.jwk).map((key) => key.jwk)
+    };
+  }
+
+  /**
+   * Replace the current key with a new one, using the same algorithm.
+   * The previous key can still be used to verify tokens until it expires
+   * (retiredKeyLifetime seconds from now).
+   * Returns the new key
+   */
+  async rotate () {
+    await this.load();
+    let previousKeys = this.keys.filter((key) => key.current);
+    let algorithm = previousKeys.length > 0
+      ? previousKeys[previousKeys.length - 1].algorithm : this.configKey.algorithm;
+    let newKey = await jwt.generateSigningKey(algorithm);
+    let expirationDate = Math.floor(Date.now() / 1000) + this.retiredKeyLifetime;
+    let storedKids = (await this.authDB.getSigningKeys()).map((key) => key.kid);
+    for (let previousKey of previousKeys) {
+      if (storedKids.indexOf(previousKey.kid) < 0) {
+        // the key provided through the configuration is not in the db yet
+        await this.authDB.addSigningKey(Object.assign({}, previousKey, {
+          current: false,
+          expirationDate: expirationDate
+        }));
+      } else {
+        await this.authDB.retireSigningKey(previousKey.kid, expirationDate);
+      }
+    }
+    await this.authDB.addSigningKey(Object.assign({}, newKey, {
+      current: true,
+      expirationDate: null
+    }));
+    await this.authDB.deleteExpiredSigningKeys();
+    await this.load();
+    return newKey;
+  }
+
+  /**
+   * Return a function that can be passed to jwt.verify(...) instead of a key,
+   * which picks the key matching the kid in the token header
+   */
+  keyResolver () {
+    return (header, callback) => {
+      this.getVerificationKey(header.kid).then((key) => {
+        if (!key) {
+          throw new Error('No key found for kid ' + header.kid);
+        }
+        // make sure the key is actually meant to be used with the algorithm
+        // claimed by the token
+        if (key.algorithm !== header.alg) {
+          throw new Error('Algorithm ' + header.alg + ' doesn\'t match the key');
+        }
+        return key.verificationKey;
+      }).then((key) => callback(null, key), callback);
+    };
+  }
+}
+
+module.exports = Keyring;
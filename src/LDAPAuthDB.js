@@ -0,0 +1,321 @@
+var ldap = require('ldapjs');
+
+// user fields filled in from directory attributes (any other attribute
+// mapping fills in a custom attribute)
+var userFields = ['email', 'firstName', 'lastName'];
+
+// methods changing a user: directory users can only be changed in the
+// directory, so these methods only work on local users
+var userMutations = ['setUserAttributes', 'setUserGroups', 'setUserEmail',
+  'setUserStatus', 'setUserEmailVerified', 'setUserFirstName',
+  'setUserLastName', 'setUserPassword', 'deleteUser', 'renameUser',
+  'addUserToGroup', 'removeUserFromGroup'];
+
+/**
+ * Escape a value to be used in an LDAP search filter (RFC 4515)
+ */
+function escapeFilterValue (value) {
+  return String(value).replace(/[\\*()\0]/g,
+    (char) => '\\' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+/**
+ * Auth db authenticating users against an LDAP directory (e.g. Active
+ * Directory).
+ * Users are looked up in the directory and authenticated by binding as
+ * them; their details and groups come from their directory attributes.
+ * Directory users are read-only. Everything else (tokens, signing keys,
+ * clients, local users, ...) is stored in a local auth db, so local
+ * accounts (e.g. the default admin) keep working alongside directory ones
+ * and take precedence over them.
+ */
+class LDAPAuthDB {
+  /**
+   * @param options object containing the following fields:
+   * - url: URL of the directory (e.g. ldaps://ldap.example.com)
+   * - bindDN: DN used to look users up (anonymous if missing)
+   * - bindCredentials: password of bindDN
+   * - userSearchBase: DN users are looked up under
+   * - userSearchFilter: filter matching a user, where {{username}} is
+   *   replaced by the (escaped) username (defaults to (uid={{username}}), use
+   *   (sAMAccountName={{username}}) for Active Directory)
+   * - attributes: object mapping user fields (email, firstName, lastName or
+   *   custom attributes) to directory attributes (defaults to
+   *   {email: 'mail', firstName: 'givenName', lastName: 'sn'})
+   * - groupAttribute: attribute containing the DNs of the groups of a user
+   *   (defaults to memberOf). Groups are named after the value of the first
+   *   component of their DN (e.g. cn=developers,ou=groups,... is named
+   *   developers)
+   * - groupBaseDN: only groups under this DN are considered (optional)
+   * - groupFilter: regular expression group names must match to be
+   *   considered (optional)
+   * - timeout: how long (in seconds) to wait for the directory (defaults to
+   *   10)
+   * - tlsOptions: options passed to tls.connect (e.g. a custom CA)
+   * @param localDB auth db everything but directory users is stored in
+   */
+  constructor (options, localDB) {
+    if (!options || !options.url) {
+      throw new Error('No LDAP url provided');
+    }
+    this.options = Object.assign({
+      bindDN: null,
+      bindCredentials: null,
+      userSearchFilter: '(uid={{username}})',
+      groupAttribute: 'memberOf',
+      groupBaseDN: null,
+      groupFilter: null,
+      timeout: 10,
+      tlsOptions: undefined
+    }, options);
+    this.options.attributes = Object.assign({
+      email: 'mail',
+      firstName: 'givenName',
+      lastName: 'sn'
+    }, options.attributes);
+    if (this.options.groupFilter) {
+      this.options.groupFilter = new RegExp(this.options.groupFilter);
+    }
+    this.localDB = localDB;
+    // everything that isn't about directory users is stored in the local db
+    for (let name of Object.getOwnPropertyNames(Object.getPrototypeOf(localDB))) {
+      if (name !== 'constructor' && !(name in this)) {
+        this[name] = (...args) => localDB[name](...args);
+      }
+    }
+  }
+
+  async initialize () {
+    await this.localDB.initialize();
+  }
+
+  async close () {
+    await this.localDB.close();
+  }
+
+  /**
+   * Connect to the directory, call fn with the client and disconnect.
+   * Returns what fn returns, connection errors are thrown
+   */
+  async withClient (fn) {
+    let client = ldap.createClient({
+      url: this.options.url,
+      timeout: this.options.timeout * 1000,
+      connectTimeout: this.options.timeout * 1000,
+      tlsOptions: this.options.tlsOptions
+    });
+    let connectionError = new Promise((resolve, reject) => {
+      client.on('error', reject);
+      client.on('connectTimeout', () => reject(new Error('LDAP connection timed out')));
+    });
+    try {
+      return await Promise.race([fn(client), connectionError]);
+    } finally {
+      client.destroy();
+    }
+  }
+
+  /**
+   * Bind to the directory. Returns false if the credentials are not valid
+   */
+  bind (client, dn, password) {
+    return new Promise((resolve, reject) => {
+      client.bind(dn, password, (err) => {
+        if (err instanceof ldap.InvalidCredentialsError) {
+          resolve(false);
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+
+  /**
+   * Look a user up in the directory.
+   * Returns an object containing the DN of the user entry and its
+   * attributes (mapping lowercase attribute names to arrays of values), or
+   * null if there's no such user (or the username is ambiguous)
+   */
+  async findEntry (username) {
+    if (typeof username !== 'string' || !username) {
+      return null;
+    }
+    let filter = this.options.userSearchFilter
+      .replace(/\{\{username\}\}/g, escapeFilterValue(username));
+    let attributes = Object.values(this.options.attributes)
+      .concat([this.options.groupAttribute]);
+    let entries = await this.withClient(async (client) => {
+      if (this.options.bindDN &&
+          !(await this.bind(client, this.options.bindDN, this.options.bindCredentials))) {
+        throw new Error('Invalid LDAP bind credentials');
+      }
+      return new Promise((resolve, reject) => {
+        client.search(this.options.userSearchBase, {
+          filter: filter,
+          scope: 'sub',
+          attributes: attributes,
+          sizeLimit: 2
+        }, (err, res) => {
+          if (err) {
+            return reject(err);
+          }
+          let entries = [];
+          res.on('searchEntry', (entry) => entries.push(entry));
+          res.on('error', (err) => {
+            // more than one entry matched the filter
+            if (err instanceof ldap.SizeLimitExceededError) {
+              resolve(entries);
+            } else {
+              reject(err);
+            }
+          });
+          res.on('end', () => resolve(entries));
+        });
+      });
+    });
+    if (entries.length !== 1) {
+      return null;
+    }
+    let values = {};
+    for (let attribute of entries[0].attributes) {
+      values[attribute.type.toLowerCase()] = attribute.vals;
+    }
+    return {
+      dn: entries[0].objectName.toString(),
+      values: values
+    };
+  }
+
+  /**
+   * Names of the groups (among the given DNs) that pass the group filters
+   */
+  getGroupNames (groupDNs) {
+    let groups = [];
+    for (let groupDN of groupDNs) {
+      let dn;
+      try {
+        dn = ldap.parseDN(groupDN);
+      } catch (e) {
+        continue;
+      }
+      if (this.options.groupBaseDN && !ldap.parseDN(groupDN.toLowerCase())
+        .childOf(this.options.groupBaseDN.toLowerCase())) {
+        continue;
+      }
+      let rdn = dn.rdns[0].attrs;
+      let group = rdn[Object.keys(rdn)[0]].value;
+      if (!this.options.groupFilter || this.options.groupFilter.test(group)) {
+        groups.push(group);
+      }
+    }
+    return Array.from(new Set(groups)).sort();
+  }
+
+  async authenticateUser (username, password) {
+    if (await this.localDB.hasUser(username)) {
+      return this.localDB.authenticateUser(username, password);
+    }
+    // binding with an empty password is an anonymous bind, which succeeds
+    if (typeof password !== 'string' || !password) {
+      return false;
+    }
+    let entry = await this.findEntry(username);
+    if (!entry) {
+      return false;
+    }
+    return this.withClient((client) => this.bind(client, entry.dn, password));
+  }
+
+  async hasUser (username) {
+    return (await this.localDB.hasUser(username)) ||
+      Boolean(await this.findEntry(username));
+  }
+
+  async getUser (username) {
+    if (await this.localDB.hasUser(username)) {
+      return this.localDB.getUser(username);
+    }
+    let entry = await this.findEntry(username);
+    if (!entry) {
+      throw new Error('User ' + username + ' doesn\'t exist');
+    }
+    let user = {
+      id: entry.dn,
+      username: username,
+      groups: this.getGroupNames(entry.values[this.options.groupAttribute.toLowerCase()] || []),
+      status: 'active',
+      attributes: {}
+    };
+    for (let field in this.options.attributes) {
+      let values = entry.values[this.options.attributes[field].toLowerCase()] || [];
+      if (userFields.indexOf(field) >= 0) {
+        user[field] = values.length > 0 ? values[0] : '';
+      } else if (values.length > 0) {
+        user.attributes[field] = values[0];
+      }
+    }
+    // emails managed by the directory are trusted
+    user.emailVerified = Boolean(user.email);
+    return user;
+  }
+
+  async getUserGroups (username, effective = false) {
+    let groups = (await this.getUser(username)).groups;
+    return effective ? this.localDB.expandGroups(groups) : groups;
+  }
+
+  async getUserEmail (username) {
+    return (await this.getUser(username)).email;
+  }
+
+  async getUserFirstName (username) {
+    return (await this.getUser(username)).firstName;
+  }
+
+  async getUserLastName (username) {
+    return (await this.getUser(username)).lastName;
+  }
+
+  async getUserAttributes (username) {
+    return (await this.getUser(username)).attributes;
+  }
+
+  /**
+   * Add a local user. Returns false if the username is already taken,
+   * including by a directory user
+   */
+  async addUser (username, password, status = 'active') {
+    if (await this.findEntry(username)) {
+      return false;
+    }
+    return this.localDB.addUser(username, password, status);
+  }
+
+  /**
+   * Create or update local users (see SQLAuthDB.importUsers). Fails if any
+   * of them is a directory user
+   */
+  async importUsers (users) {
+    for (let user of users) {
+      if (!(await this.localDB.hasUser(user.username)) && await this.findEntry(user.username)) {
+        throw new Error('User ' + user.username + ' is managed by the LDAP ' +
+          'directory: it can only be changed there');
+      }
+    }
+    return this.localDB.importUsers(users);
+  }
+}
+
+for (let name of userMutations) {
+  LDAPAuthDB.prototype[name] = async function (username, ...args) {
+    if (!(await this.localDB.hasUser(username)) && await this.findEntry(username)) {
+      throw new Error('User ' + username + ' is managed by the LDAP directory: ' +
+        'it can only be changed there');
+    }
+    return this.localDB[name](username, ...args);
+  };
+}
+
+module.exports = LDAPAuthDB;
@@ -0,0 +1,212 @@
+/**
+ * Protection against password guessing.
+ * Failed attempts are counted both per username and per client IP: after a
+ * few free failures each new failure makes the client wait exponentially
+ * longer before it can try again, and after too many failures the username
+ * (or IP) is locked out for a while. Counters are reset by a successful
+ * attempt (only the username one: a single valid account must not allow an
+ * IP to keep guessing) or once no failure has happened for lockoutDuration
+ * seconds.
+ * Each authentication factor (password, TOTP code) has its own per username
+ * counter, so that a valid password doesn't reset the count of wrong codes.
+ * Attempts are counted as failures before the credentials are checked (and
+ * given back if they succeed), so that attempts made in parallel can't get
+ * around the limits.
+ *
+ * Counters are stored in the auth db, so that they're shared by every
+ * instance using the same db and survive restarts.
+ * Other kinds of requests that must not be repeated too often (e.g. password
+ * reset requests) can be throttled the same way, using a different keyPrefix
+ * so that they have their own counters.
+ */
+class LoginThrottle {
+  /**
+   * @param authDB auth db where the counters are stored
+   * @param options object containing the following (optional) fields:
+   * - freeFailures: failures per username before delays kick in (defaults
+   *   to 3)
+   * - maxFailures: failures per username causing a lockout (defaults to 10)
+   * - freeFailuresPerIP: failures per IP before delays kick in (defaults to
+   *   20)
+   * - maxFailuresPerIP: failures per IP causing a lockout (defaults to 100)
+   * - baseDelay: delay (in seconds) after the first failure that isn't free,
+   *   doubled by each further failure (defaults to 1)
+   * - lockoutDuration: how long (in seconds) a lockout lasts, which is also
+   *   the longest delay (defaults to 15 minutes)
+   * - keyPrefix: prefix of the keys of the counters (defaults to '')
+   */
+  constructor (authDB, options = {}) {
+    this.authDB = authDB;
+    this.options = Object.assign({
+      freeFailures: 3,
+      maxFailures: 10,
+      freeFailuresPerIP: 20,
+      maxFailuresPerIP: 100,
+      baseDelay: 1,
+      lockoutDuration: 15 * 60,
+      keyPrefix: ''
+    }, options);
+  }
+
+  /**
+   * Keys of the counters affected by an attempt, along with their limits
+   */
+  counters (username, ip, factor) {
+    let counters = [{
+      key: this.options.keyPrefix + factor + ':' + username,
+      freeFailures: this.options.freeFailures,
+      maxFailures: this.options.maxFailures
+    }];
+    if (ip) {
+      counters.push({
+        key: this.options.keyPrefix + 'ip:' + ip,
+        freeFailures: this.options.freeFailuresPerIP,
+        maxFailures: this.options.maxFailuresPerIP
+      });
+    }
+    return counters;
+  }
+
+  /**
+   * Return how long (in seconds) the client has to wait before it can try to
+   * authenticate as the given user (0 if it can try right away)
+   * @param username
+   * @param ip client IP (optional)
+   * @param factor one of 'password', 'totp' (defaults to 'password')
+   */
+  async getRetryAfter (username, ip, factor = 'password') {
+    let now = Math.floor(Date.now() / 1000);
+    let retryAfter = 0;
+    for (let counter of this.counters(username, ip, factor)) {
+      let loginAttempts = await this.authDB.getLoginAttempts(counter.key);
+      if (loginAttempts && loginAttempts.lockedUntil > now) {
+        retryAfter = Math.max(retryAfter, loginAttempts.lockedUntil - now);
+      }
+    }
+    return retryAfter;
+  }
+
+  /**
+   * Reserve an attempt to authenticate as the given user.
+   * Returns how long (in seconds) the client has to wait before it can try
+   * (0 if it can try right away). If it can, the attempt is counted as a
+   * failure straight away: recordSuccess has to be called if it succeeds
+   * @param username
+   * @param ip client IP (optional)
+   * @param factor one of 'password', 'totp' (defaults to 'password')
+   */
+  async reserveAttempt (username, ip, factor = 'password') {
+    // checking every counter first avoids counting an attempt against the
+    // username when the IP is locked out (or vice versa)
+    let retryAfter = await this.getRetryAfter(username, ip, factor);
+    if (retryAfter > 0) {
+      return retryAfter;
+    }
+    let now = Math.floor(Date.now() / 1000);
+    for (let counter of this.counters(username, ip, factor)) {
+      await this.updateCounter(counter.key, (loginAttempts) => {
+        // a parallel attempt has just caused a lockout
+        if (loginAttempts && loginAttempts.lockedUntil > now) {
+          retryAfter = Math.max(retryAfter, loginAttempts.lockedUntil - now);
+          return null;
+        }
+        let failures = 1;
+        if (loginAttempts &&
+            loginAttempts.lastFailureDate + this.options.lockoutDuration >= now) {
+          failures += loginAttempts.failures;
+        }
+        return {
+          failures: failures,
+          lastFailureDate: now,
+          lockedUntil: now + this.getDelay(failures, counter)
+        };
+      });
+      if (retryAfter > 0) {
+        break;
+      }
+    }
+    await this.authDB.deleteExpiredLoginAttempts(now - this.options.lockoutDuration);
+    return retryAfter;
+  }
+
+  /**
+   * Change a counter atomically: change is called with the current counter
+   * (null if there's none) and returns the new one (or null to leave it as
+   * it is). If the counter is changed by someone else in the meantime,
+   * change is called again with the new value
+   */
+  async updateCounter (key, change) {
+    while (true) {
+      let loginAttempts = await this.authDB.getLoginAttempts(key);
+      let newLoginAttempts = change(loginAttempts);
+      if (!newLoginAttempts ||
+          await this.authDB.updateLoginAttempts(key, loginAttempts, newLoginAttempts)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * How long (in seconds) a client has to wait after the given number of
+   * consecutive failures
+   */
+  getDelay (failures, counter) {
+    if (failures >= counter.maxFailures) {
+      return this.options.lockoutDuration;
+    }
+    if (failures <= counter.freeFailures) {
+      return 0;
+    }
+    return Math.min(this.options.baseDelay *
+      Math.pow(2, failures - counter.freeFailures - 1), this.options.lockoutDuration);
+  }
+
+  /**
+   * Record that a reserved attempt has succeeded: the counter of the username
+   * is reset and the failure counted against the IP is given back
+   * @param username
+   * @param ip client IP (optional)
+   * @param factor one of 'password', 'totp' (defaults to 'password')
+   */
+  async recordSuccess (username, ip, factor = 'password') {
+    let counters = this.counters(username, ip, factor);
+    await this.authDB.deleteLoginAttempts(counters[0].key);
+    if (!ip) {
+      return;
+    }
+    let counter = counters[1];
+    await this.updateCounter(counter.key, (loginAttempts) => {
+      if (!loginAttempts || loginAttempts.failures <= 0) {
+        return null;
+      }
+      let failures = loginAttempts.failures - 1;
+      return {
+        failures: failures,
+        lastFailureDate: loginAttempts.lastFailureDate,
+        lockedUntil: loginAttempts.lastFailureDate + this.getDelay(failures, counter)
+      };
+    });
+  }
+
+  /**
+   * Reset the counters of a user (and, optionally, of an IP), removing any
+   * lockout.
+   * Returns false if there was nothing to reset
+   * @param username
+   * @param ip (optional)
+   */
+  async unlock (username, ip) {
+    let keys = ['password:' + username, 'totp:' + username];
+    if (ip) {
+      keys.push('ip:' + ip);
+    }
+    keys = keys.map((key) => this.options.keyPrefix + key);
+    let success = false;
+    for (let key of keys) {
+      success = (await this.authDB.deleteLoginAttempts(key)) || success;
+    }
+    return success;
+  }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,98 @@
+var FileAuthDB = require('./FileAuthDB');
+
+/**
+ * Auth db kept in memory only (e.g. for tests or ephemeral deployments):
+ * it's a FileAuthDB that never touches the disk, so everything is lost when
+ * the process exits.
+ * It can be seeded with users and groups, and its state can be saved and
+ * restored (e.g. to reset it between tests).
+ */
+class MemoryAuthDB extends FileAuthDB {
+  /**
+   * @param config object containing the following (optional) fields:
+   * - passwordHashing: options passed to PasswordHandler.hashPassword
+   * - seed: users and groups the db is populated with when it's
+   *   initialized, an object containing the following (optional) fields:
+   *   - groups: array of group names
+   *   - users: array of objects containing the fields username, password
+   *     and, optionally, email, emailVerified, firstName, lastName, status,
+   *     groups (created if missing) and attributes
+   * @param logger (see FileAuthDB)
+   */
+  constructor (config, logger) {
+    super(config, logger);
+    this.seed = config.seed || null;
+  }
+
+  load () {
+    return {};
+  }
+
+  async save () {
+    // nothing to do, the db only lives in memory
+  }
+
+  acquireLock () {
+    // nothing to do, no other process can use the db
+  }
+
+  releaseLock () {
+  }
+
+  async initialize () {
+    await super.initialize();
+    if (this.seed) {
+      await this.addSeed(this.seed);
+      // a second initialize() doesn't add the seed again
+      this.seed = null;
+    }
+  }
+
+  /**
+   * Add users and groups (see the seed option of the constructor)
+   */
+  async addSeed (seed) {
+    for (let group of seed.groups || []) {
+      await this.addGroup(group);
+    }
+    for (let user of seed.users || []) {
+      if (!(await this.addUser(user.username, user.password, user.status))) {
+        throw new Error('Cannot seed user ' + user.username + ': it already exists');
+      }
+      if (user.email) {
+        await this.setUserEmail(user.username, user.email, Boolean(user.emailVerified));
+      }
+      if (user.firstName) {
+        await this.setUserFirstName(user.username, user.firstName);
+      }
+      if (user.lastName) {
+        await this.setUserLastName(user.username, user.lastName);
+      }
+      for (let group of user.groups || []) {
+        await this.addGroup(group);
+        await this.addUserToGroup(user.username, group);
+      }
+      if (user.attributes) {
+        await this.setUserAttributes(user.username, user.attributes);
+      }
+    }
+  }
+
+  /**
+   * Return a copy of the current state of the db, which can be passed to
+   * restore() later on
+   */
+  snapshot () {
+    return JSON.parse(JSON.stringify(this.fileContents));
+  }
+
+  /**
+   * Bring the db back to a state returned by snapshot()
+   */
+  restore (snapshot) {
+    this.fileContents = JSON.parse(JSON.stringify(snapshot));
+    this.upgrade();
+  }
+}
+
+module.exports = MemoryAuthDB;
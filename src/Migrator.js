@@ -0,0 +1,180 @@
+var fs = require('fs');
+var path = require('path');
+var Sequelize = require('sequelize');
+
+/**
+ * Versioned changes to the schema of a SQL auth db.
+ * Migrations are the files in src/migrations, applied in the order of their
+ * names (which start with a number). Each one exports a description and two
+ * functions, up (applying it) and down (reverting it), both called with a
+ * sequelize QueryInterface and Sequelize itself. The names of the applied
+ * migrations are stored in the schema_migrations table.
+ */
+class Migrator {
+  /**
+   * @param sequelize
+   * @param directory directory containing the migrations (defaults to
+   *   src/migrations)
+   */
+  constructor (sequelize, directory = path.join(__dirname, 'migrations')) {
+    this.sequelize = sequelize;
+    this.directory = directory;
+    this.Migration = this.sequelize.define('schema_migrations', {
+      name: {
+        type: Sequelize.STRING,
+        primaryKey: true
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      timestamps: true,
+      createdAt: 'applied_timestamp',
+      // migrations are only ever added or removed
+      updatedAt: false
+    });
+  }
+
+  /**
+   * Return the available migrations, in the order they have to be applied
+   */
+  getMigrations () {
+    return fs.readdirSync(this.directory)
+      .filter((file) => /^\d+-.*\.js$/.test(file))
+      .sort()
+      .map((file) => Object.assign({
+        name: path.basename(file, '.js')
+      }, require(path.join(this.directory, file))));
+  }
+
+  /**
+   * Return the status of every migration, an array of objects containing
+   * the fields name, description and appliedDate (UNIX time, null if the
+   * migration hasn't been applied).
+   * Migrations applied by a newer version of saint-peter (which this
+   * version doesn't know about) have a null description
+   */
+  async status () {
+    await this.Migration.sync();
+    let appliedDates = {};
+    for (let migration of await this.Migration.findAll()) {
+      appliedDates[migration.name] =
+        Math.floor(migration.applied_timestamp.getTime() / 1000);
+    }
+    let status = this.getMigrations().map((migration) => ({
+      name: migration.name,
+      description: migration.description,
+      appliedDate: appliedDates[migration.name] || null
+    }));
+    for (let name of Object.keys(appliedDates).sort()) {
+      if (!status.find((migration) => migration.name === name)) {
+        status.push({
+          name: name,
+          description: null,
+          appliedDate: appliedDates[name]
+        });
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Return the names of the migrations that haven't been applied yet
+   */
+  async getPendingMigrations () {
+    return (await this.status())
+      .filter((migration) => !migration.appliedDate)
+      .map((migration) => migration.name);
+  }
+
+  /**
+   * Return the steps needed to bring the schema to a given migration, an
+   * array of objects containing the fields name, description and direction
+   * (up or down)
+   * @param to name of the last migration that has to be applied (defaults
+   *   to the latest one, 0 reverts every migration)
+   */
+  async plan (to) {
+    let status = await this.status();
+    let unknownMigrations = status.filter((migration) => !migration.description);
+    if (unknownMigrations.length > 0) {
+      throw new Error('The auth db schema has been migrated by a newer ' +
+        'version (unknown migrations: ' +
+        unknownMigrations.map((migration) => migration.name).join(', ') + ')');
+    }
+    let last = status.length - 1;
+    if (String(to) === '0') {
+      last = -1;
+    } else if (typeof to !== 'undefined' && to !== null) {
+      last = status.findIndex((migration) => migration.name === to);
+      if (last < 0) {
+        throw new Error('Unknown migration: ' + to);
+      }
+    }
+    let steps = [];
+    for (let i = status.length - 1; i > last; i--) {
+      if (status[i].appliedDate) {
+        steps.push({
+          name: status[i].name,
+          description: status[i].description,
+          direction: 'down'
+        });
+      }
+    }
+    for (let i = 0; i <= last; i++) {
+      if (!status[i].appliedDate) {
+        steps.push({
+          name: status[i].name,
+          description: status[i].description,
+          direction: 'up'
+        });
+      }
+    }
+    return steps;
+  }
+
+  /**
+   * Apply (or revert) migrations so that the schema matches a given
+   * migration. Each migration is recorded as soon as it's applied, so if
+   * one fails the previous ones stay applied.
+   * Returns the steps (see plan)
+   * @param options object containing the following (optional) fields:
+   * - to: name of the last migration that has to be applied (see plan)
+   * - dryRun: only return the steps, without changing anything (defaults to
+   *   false)
+   */
+  async migrate (options = {}) {
+    let steps = await this.plan(options.to);
+    if (options.dryRun) {
+      return steps;
+    }
+    let migrations = {};
+    for (let migration of this.getMigrations()) {
+      migrations[migration.name] = migration;
+    }
+    let queryInterface = this.sequelize.getQueryInterface();
+    // sqlite changes columns by rebuilding the whole table, which fails if
+    // other tables reference its rows
+    let sqlite = this.sequelize.getDialect() === 'sqlite';
+    if (sqlite) {
+      await this.sequelize.query('PRAGMA foreign_keys = OFF');
+    }
+    try {
+      for (let step of steps) {
+        if (step.direction === 'up') {
+          await migrations[step.name].up(queryInterface, Sequelize);
+          await this.Migration.create({name: step.name});
+        } else {
+          await migrations[step.name].down(queryInterface, Sequelize);
+          await this.Migration.destroy({where: {name: step.name}});
+        }
+      }
+    } finally {
+      if (sqlite) {
+        await this.sequelize.query('PRAGMA foreign_keys = ON');
+      }
+    }
+    return steps;
+  }
+}
+
+module.exports = Migrator;
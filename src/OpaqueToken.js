@@ -0,0 +1,45 @@
+var crypto = require('crypto');
+
+/**
+ * Generate a random opaque token (e.g. a refresh token).
+ * The token carries no information by itself: it is only meaningful to the
+ * auth db, where its hash is stored.
+ *
+ * @param {Number} bytes number of random bytes (defaults to 32)
+ * @return {String} hex encoded token
+ */
+function generateToken (bytes) {
+  return crypto.randomBytes(bytes || 32).toString('hex');
+}
+
+/**
+ * Hash an opaque token so that it can be stored in the auth db.
+ * Opaque tokens have enough entropy that a single round of sha256 is enough
+ * (and it allows us to look them up by their hash).
+ *
+ * @param {!String} token
+ * @return {String} hex encoded hash
+ */
+function hashToken (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a token against a hash computed by hashToken, in constant time.
+ * Useful for secrets (e.g. client secrets) that are not looked up by their
+ * hash, but verified once the record they belong to has been found.
+ *
+ * @param {!String} token
+ * @param {!String} tokenHash
+ * @return {Boolean}
+ */
+function verifyToken (token, tokenHash) {
+  let hash = Buffer.from(hashToken(token), 'hex');
+  let expectedHash = Buffer.from(String(tokenHash), 'hex');
+  return hash.length === expectedHash.length &&
+    crypto.timingSafeEqual(hash, expectedHash);
+}
+
+exports.generateToken = generateToken;
+exports.hashToken = hashToken;
+exports.verifyToken = verifyToken;
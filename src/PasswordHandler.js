@@ -1,92 +1,274 @@
 var crypto = require('crypto');
 
 // larger numbers mean better security, less
-var config = {
+var defaults = {
+  // one of scrypt, pbkdf2
+  algorithm: 'scrypt',
   // size of the generated hash
   hashBytes: 32,
   // larger salt means hashed passwords are more resistant to rainbow table, but
   // you get diminishing returns pretty fast
   saltBytes: 16,
+  // scrypt CPU/memory cost (a power of 2): larger is better, but each hash
+  // needs 128 * cost * blockSize bytes of memory
+  cost: Math.pow(2, 17),
+  // scrypt block size
+  blockSize: 8,
+  // scrypt parallelization
+  parallelization: 1,
   // more iterations means an attacker has to take longer to brute force an
   // individual password, so larger is better. however, larger also means longer
   // to hash the password. tune so that hashing the password takes about a
-  // second
-  iterations: 10000,
-  // digest used to hash the password
+  // second (only used by pbkdf2)
+  iterations: 210000,
+  // digest used to hash the password (only used by pbkdf2)
   digest: 'sha512'
 };
 
+// parameters of the hashes generated before the hash format included the
+// algorithm (they were stored as base64 encoded buffers containing the size
+// of the salt, the number of iterations, the salt and the hash)
+var legacyDigest = 'sha512';
+
+// upper bounds of the hashing parameters, for the configured options as well
+// as for the hashes being verified or imported: a crafted hash must not be
+// able to make verifying a password take forever or exhaust the memory
+var limits = {
+  // scrypt cost (as a power of 2)
+  costLog2: 20,
+  blockSize: 32,
+  parallelization: 16,
+  // memory needed by scrypt (128 * cost * blockSize bytes)
+  memory: Math.pow(2, 30),
+  iterations: 10000000,
+  hashBytes: 128
+};
+
+function isIntegerBetween (value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
 /**
- * Hash a password using Node's asynchronous pbkdf2 (key derivation) function.
- *
- * Returns a self-contained buffer which can be arbitrarily encoded for storage
- * that contains all the data needed to verify a password.
- *
- * @param {!String} password
- * @param {!function(?Error, ?Buffer=)} callback
+ * Make sure the parameters of an algorithm are supported and within the
+ * limits
+ * @param {!Object} params
  */
-function hashPassword (password, callback) {
-  return new Promise((resolve, reject) => {
-    // generate a salt for pbkdf2
-    crypto.randomBytes(config.saltBytes, function (err, salt) {
-      if (err) {
-        return reject(err);
-      }
+function checkParams (params) {
+  if (params.algorithm === 'scrypt') {
+    if (!isIntegerBetween(Math.log2(params.cost), 1, limits.costLog2)) {
+      throw new Error('The scrypt cost must be a power of 2, at most 2^' +
+        limits.costLog2);
+    }
+    if (!isIntegerBetween(params.blockSize, 1, limits.blockSize) ||
+        !isIntegerBetween(params.parallelization, 1, limits.parallelization) ||
+        128 * params.cost * params.blockSize > limits.memory) {
+      throw new Error('Invalid scrypt parameters');
+    }
+  } else {
+    if (!isIntegerBetween(params.iterations, 1, limits.iterations)) {
+      throw new Error('The pbkdf2 iterations must be at most ' + limits.iterations);
+    }
+    if (crypto.getHashes().indexOf(params.digest) < 0) {
+      throw new Error('Unsupported digest: ' + params.digest);
+    }
+  }
+}
 
-      crypto.pbkdf2(password, salt, config.iterations, config.hashBytes, config.digest,
-        function (err, hash) {
-          if (err) {
-            return reject(err);
-          }
+/**
+ * Fill in the missing hashing options with the default values
+ * @param {Object=} options
+ */
+function getOptions (options) {
+  let fullOptions = Object.assign({}, defaults, options);
+  if (fullOptions.algorithm !== 'scrypt' && fullOptions.algorithm !== 'pbkdf2') {
+    throw new Error('Unsupported password hashing algorithm: ' + fullOptions.algorithm);
+  }
+  checkParams(fullOptions);
+  if (!isIntegerBetween(fullOptions.hashBytes, 1, limits.hashBytes)) {
+    throw new Error('The hash size must be at most ' + limits.hashBytes + ' bytes');
+  }
+  return fullOptions;
+}
 
-          var combinedBuffer = Buffer.alloc(hash.length + salt.length + 8);
+function encodeBase64 (buffer) {
+  return buffer.toString('base64').replace(/=+$/, '');
+}
 
-          // include the size of the salt so that we can, during verification,
-          // figure out how much of the hash is salt
-          combinedBuffer.writeUInt32BE(salt.length, 0, true);
-          // similarly, include the iteration count
-          combinedBuffer.writeUInt32BE(config.iterations, 4, true);
+/**
+ * Parse a hash generated by hashPassword.
+ * Hashes look like $<algorithm>$<param>=<value>,...$<salt>$<hash>, with the
+ * salt and the hash base64 encoded (as in the PHC string format), e.g.
+ * $scrypt$ln=17,r=8,p=1$<salt>$<hash>
+ * $pbkdf2-sha512$i=210000$<salt>$<hash>
+ * Legacy hashes are recognized too. Hashes whose parameters are out of the
+ * limits are refused
+ * @param {!String} combinedString
+ */
+function parseHash (combinedString) {
+  let parsedHash = parseHashString(combinedString);
+  checkParams(parsedHash);
+  if (parsedHash.hash.length > limits.hashBytes) {
+    throw new Error('Invalid password hash');
+  }
+  return parsedHash;
+}
 
-          salt.copy(combinedBuffer, 8);
-          hash.copy(combinedBuffer, salt.length + 8);
-          resolve(combinedBuffer.toString('base64'));
-        });
+function parseHashString (combinedString) {
+  let parts = String(combinedString).split('$');
+  if (parts.length === 1) {
+    let combinedBuffer = Buffer.from(combinedString, 'base64');
+    // extract the salt and hash from the combined buffer
+    let saltBytes = combinedBuffer.readUInt32BE(0);
+    return {
+      algorithm: 'pbkdf2',
+      legacy: true,
+      iterations: combinedBuffer.readUInt32BE(4),
+      digest: legacyDigest,
+      salt: combinedBuffer.slice(8, saltBytes + 8),
+      hash: combinedBuffer.slice(saltBytes + 8)
+    };
+  }
+  if (parts.length !== 5 || parts[0] !== '') {
+    throw new Error('Invalid password hash');
+  }
+  let params = {};
+  for (let param of parts[2].split(',')) {
+    let [name, value] = param.split('=');
+    params[name] = Number(value);
+  }
+  let parsedHash = {
+    legacy: false,
+    salt: Buffer.from(parts[3], 'base64'),
+    hash: Buffer.from(parts[4], 'base64')
+  };
+  if (parts[1] === 'scrypt') {
+    return Object.assign(parsedHash, {
+      algorithm: 'scrypt',
+      cost: Math.pow(2, params.ln),
+      blockSize: params.r,
+      parallelization: params.p
+    });
+  }
+  if (parts[1].startsWith('pbkdf2-')) {
+    return Object.assign(parsedHash, {
+      algorithm: 'pbkdf2',
+      iterations: params.i,
+      digest: parts[1].substr('pbkdf2-'.length)
     });
+  }
+  throw new Error('Unsupported password hashing algorithm: ' + parts[1]);
+}
+
+/**
+ * Derive a key from a password with the given algorithm and parameters
+ * @param {!String} password
+ * @param {!Buffer} salt
+ * @param {!Number} hashBytes
+ * @param {!Object} params
+ */
+function deriveKey (password, salt, hashBytes, params) {
+  return new Promise((resolve, reject) => {
+    let callback = (err, hash) => err ? reject(err) : resolve(hash);
+    if (params.algorithm === 'scrypt') {
+      crypto.scrypt(password, salt, hashBytes, {
+        cost: params.cost,
+        blockSize: params.blockSize,
+        parallelization: params.parallelization,
+        // the default limit (32MB) is too low for the recommended costs
+        maxmem: 256 * params.cost * params.blockSize * params.parallelization
+      }, callback);
+    } else {
+      crypto.pbkdf2(password, salt, params.iterations, hashBytes, params.digest,
+        callback);
+    }
   });
 }
 
 /**
- * Verify a password using Node's asynchronous pbkdf2 (key derivation) function.
+ * Hash a password using Node's asynchronous scrypt or pbkdf2 (key derivation)
+ * functions.
  *
- * Accepts a hash and salt generated by hashPassword, and returns whether the
- * hash matched the password (as a boolean).
+ * Returns a self-describing string that contains all the data needed to
+ * verify a password (see parseHash).
  *
  * @param {!String} password
- * @param {!String} combinedString String containing hash and salt as generated by
- *   hashPassword.
- * @param {!function(?Error, !boolean)}
+ * @param {Object=} options hashing options (see defaults above)
  */
-function verifyPassword (password, combinedString) {
-  return new Promise((resolve, reject) => {
-    var combinedBuffer = Buffer.from(combinedString, 'base64');
-    // extract the salt and hash from the combined buffer
-    var saltBytes = combinedBuffer.readUInt32BE(0);
-    var hashBytes = combinedBuffer.length - saltBytes - 8;
-    var iterations = combinedBuffer.readUInt32BE(4);
-    var salt = combinedBuffer.slice(8, saltBytes + 8);
-    var hash = combinedBuffer.toString('base64', saltBytes + 8);
+async function hashPassword (password, options) {
+  options = getOptions(options);
+  // generate a salt
+  let salt = crypto.randomBytes(options.saltBytes);
+  let hash = await deriveKey(password, salt, options.hashBytes, options);
+  let algorithm;
+  let params;
+  if (options.algorithm === 'scrypt') {
+    algorithm = 'scrypt';
+    params = 'ln=' + Math.log2(options.cost) + ',r=' + options.blockSize +
+      ',p=' + options.parallelization;
+  } else {
+    algorithm = 'pbkdf2-' + options.digest;
+    params = 'i=' + options.iterations;
+  }
+  return '$' + algorithm + '$' + params + '$' + encodeBase64(salt) + '$' +
+    encodeBase64(hash);
+}
 
-    // verify the salt and hash against the password
-    crypto.pbkdf2(password, salt, iterations, hashBytes, config.digest,
-      function (err, verify) {
-        if (err) {
-          return reject(err, false);
-        }
+/**
+ * Verify a password against a hash generated by hashPassword (including
+ * legacy ones).
+ *
+ * Returns whether the hash matched the password (as a boolean).
+ *
+ * @param {!String} password
+ * @param {!String} combinedString String generated by hashPassword
+ */
+async function verifyPassword (password, combinedString) {
+  let parsedHash = parseHash(combinedString);
+  let hash = await deriveKey(password, parsedHash.salt, parsedHash.hash.length,
+    parsedHash);
+  return crypto.timingSafeEqual(hash, parsedHash.hash);
+}
 
-        resolve(verify.toString('base64') === hash);
-      });
-  });
+/**
+ * Whether a hash has been generated with different options than the given
+ * ones (e.g. with a legacy format or a lower cost), in which case the
+ * password should be hashed again the next time it's available.
+ *
+ * @param {!String} combinedString String generated by hashPassword
+ * @param {Object=} options current hashing options
+ */
+function needsRehash (combinedString, options) {
+  options = getOptions(options);
+  let parsedHash = parseHash(combinedString);
+  if (parsedHash.legacy || parsedHash.algorithm !== options.algorithm ||
+      parsedHash.hash.length !== options.hashBytes) {
+    return true;
+  }
+  if (options.algorithm === 'scrypt') {
+    return parsedHash.cost !== options.cost ||
+      parsedHash.blockSize !== options.blockSize ||
+      parsedHash.parallelization !== options.parallelization;
+  }
+  return parsedHash.iterations !== options.iterations ||
+    parsedHash.digest !== options.digest;
+}
+
+/**
+ * Whether a string is a hash generated by hashPassword (including legacy
+ * ones), e.g. one exported from another auth db
+ *
+ * @param {!String} combinedString
+ */
+function isHash (combinedString) {
+  try {
+    let parsedHash = parseHash(combinedString);
+    return parsedHash.salt.length > 0 && parsedHash.hash.length > 0;
+  } catch (e) {
+    return false;
+  }
 }
 
 exports.hashPassword = hashPassword;
+exports.isHash = isHash;
 exports.verifyPassword = verifyPassword;
+exports.needsRehash = needsRehash;
@@ -0,0 +1,145 @@
+var fs = require('fs');
+var PasswordHandler = require('./PasswordHandler');
+
+// regular expressions matching each character class
+var characterClasses = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  digit: /[0-9]/,
+  symbol: /[^a-zA-Z0-9]/
+};
+
+/**
+ * Rules new passwords have to satisfy.
+ * Passwords previously used by each user are stored (hashed) in the auth db,
+ * so that they can't be reused.
+ */
+class PasswordPolicy {
+  /**
+   * @param authDB auth db where password history is stored
+   * @param options object containing the following (optional) fields:
+   * - minLength: minimum number of characters (defaults to 8)
+   * - requiredCharacterClasses: array of character classes (lowercase,
+   *   uppercase, digit, symbol) each password must contain at least one
+   *   character of (defaults to [])
+   * - disallowUsername: whether passwords can't be equal to or contain the
+   *   username, ignoring case (defaults to true)
+   * - breachedPasswordsFile: file containing a list of breached or common
+   *   passwords (one per line) that can't be used, ignoring case
+   * - historySize: number of previous passwords of each user that can't be
+   *   reused (defaults to 0)
+   * @param passwordHashing options passed to PasswordHandler.hashPassword
+   */
+  constructor (authDB, options = {}, passwordHashing) {
+    this.authDB = authDB;
+    this.passwordHashing = passwordHashing;
+    this.options = Object.assign({
+      minLength: 8,
+      requiredCharacterClasses: [],
+      disallowUsername: true,
+      breachedPasswordsFile: null,
+      historySize: 0
+    }, options);
+    for (let characterClass of this.options.requiredCharacterClasses) {
+      if (!(characterClass in characterClasses)) {
+        throw new Error('Unknown character class: ' + characterClass);
+      }
+    }
+    // loaded now, so that a missing or unreadable file is reported at
+    // startup rather than while handling a request
+    this.breachedPasswords = new Set();
+    if (this.options.breachedPasswordsFile) {
+      this.breachedPasswords = new Set(fs.readFileSync(
+        this.options.breachedPasswordsFile, 'utf8')
+        .split(/\r?\n/)
+        .map((password) => password.trim().toLowerCase())
+        .filter((password) => password.length > 0));
+    }
+  }
+
+  /**
+   * Check a new password against the policy.
+   * Returns the list of the rules the password doesn't satisfy (an empty
+   * array if the password is acceptable), each one being an object
+   * containing the fields rule (the name of the option) and message
+   * @param username user the password is meant for
+   * @param password
+   */
+  async validate (username, password) {
+    let failedRules = [];
+    if (typeof password !== 'string') {
+      password = '';
+    }
+    if (password.length < this.options.minLength) {
+      failedRules.push({
+        rule: 'minLength',
+        message: 'Password must be at least ' + this.options.minLength +
+          ' characters long'
+      });
+    }
+    let missingCharacterClasses = this.options.requiredCharacterClasses
+      .filter((characterClass) => !characterClasses[characterClass].test(password));
+    if (missingCharacterClasses.length > 0) {
+      failedRules.push({
+        rule: 'requiredCharacterClasses',
+        message: 'Password must contain at least one character of each of ' +
+          'these classes: ' + missingCharacterClasses.join(', ')
+      });
+    }
+    if (this.options.disallowUsername && username && password &&
+        password.toLowerCase().indexOf(String(username).toLowerCase()) >= 0) {
+      failedRules.push({
+        rule: 'disallowUsername',
+        message: 'Password must not contain the username'
+      });
+    }
+    if (password && this.breachedPasswords.has(password.toLowerCase())) {
+      failedRules.push({
+        rule: 'breachedPasswordsFile',
+        message: 'Password is too common or has appeared in a data breach'
+      });
+    }
+    if (this.options.historySize > 0 && username && password) {
+      let passwordHistory = (await this.authDB.getPasswordHistory(username))
+        .slice(0, this.options.historySize);
+      for (let passwordHash of passwordHistory) {
+        if (await PasswordHandler.verifyPassword(password, passwordHash)) {
+          failedRules.push({
+            rule: 'historySize',
+            message: 'Password must differ from the last ' +
+              this.options.historySize + ' passwords'
+          });
+          break;
+        }
+      }
+    }
+    return failedRules;
+  }
+
+  /**
+   * Add a password that has just been assigned to a user to the password
+   * history (if enabled)
+   * @param username
+   * @param password
+   */
+  async recordPassword (username, password) {
+    if (this.options.historySize > 0) {
+      await this.recordPasswordHash(username,
+        await PasswordHandler.hashPassword(password, this.passwordHashing));
+    }
+  }
+
+  /**
+   * Same as recordPassword, for a password that has already been hashed
+   * @param username
+   * @param passwordHash
+   */
+  async recordPasswordHash (username, passwordHash) {
+    if (this.options.historySize > 0) {
+      await this.authDB.addPasswordHistory(username, passwordHash,
+        this.options.historySize);
+    }
+  }
+}
+
+module.exports = PasswordPolicy;
@@ -1,8 +1,38 @@
 var Sequelize = require('sequelize');
 var PasswordHandler = require('./PasswordHandler');
+var Migrator = require('./Migrator');
+
+/**
+ * Convert a client instance into a plain object
+ */
+function clientToObject (client) {
+  client = client.get();
+  client.redirectUris = JSON.parse(client.redirectUris || '[]');
+  return client;
+}
+
+// fields users can be sorted by (see findUsers)
+var userSortFields = ['username', 'email', 'firstName', 'lastName'];
+
+/**
+ * Turn the attribute rows of a user into an object mapping attribute names
+ * to their values
+ */
+function attributesObject (userAttributes) {
+  let attributes = {};
+  for (let userAttribute of userAttributes) {
+    attributes[userAttribute.name] = JSON.parse(userAttribute.value);
+  }
+  return attributes;
+}
 
 class SQLAuthDB {
   constructor (config) {
+    // options passed to PasswordHandler.hashPassword
+    this.passwordHashing = config.passwordHashing;
+    // whether initialize() applies pending migrations (otherwise it fails
+    // until they're applied with the migrate command)
+    this.autoMigrate = config.autoMigrate !== false;
     if (config.dbURI) {
       this.sequelize = new Sequelize(config.dbURI, {
         operatorsAliases: false,
@@ -43,6 +73,13 @@ class SQLAuthDB {
       email: {
         type: Sequelize.STRING
       },
+      // whether the user has proved they own the email address
+      emailVerified: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'email_verified'
+      },
       firstName: {
         type: Sequelize.STRING,
         field: 'first_name'
@@ -53,6 +90,12 @@ class SQLAuthDB {
       },
       password: {
         type: Sequelize.STRING
+      },
+      // one of active, pending (registered users waiting for approval)
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'active'
       }
     }, {
       // don't forget to enable timestamps!
@@ -118,149 +161,1583 @@ class SQLAuthDB {
       // I want updatedAt to actually be called updateTimestamp
       updatedAt: 'update_timestamp'
     });
-  }
-
-  async initialize () {
-    await this.User.sync();
-    await this.Group.sync();
-    await this.UserGroups.sync();
-  }
-
-  async authenticateUser (username, password) {
-    let user = await this.User.findOne({
-      where: {username: username}
+    // used to fetch the groups of many users with a single query: the first
+    // association returns all the groups of each user, the second one is
+    // only used to filter users by group
+    this.User.hasMany(this.UserGroups, {
+      as: 'memberships',
+      foreignKey: 'username',
+      sourceKey: 'username',
+      constraints: false
     });
-    if (!user) {
-      return false;
-    }
-    return await PasswordHandler.verifyPassword(password,
-      user.password);
-  }
-
-  async getUserGroups (username) {
-    let userGroups = await this.UserGroups.findAll({
-      where: {username: username}
+    this.User.hasMany(this.UserGroups, {
+      as: 'groupFilter',
+      foreignKey: 'username',
+      sourceKey: 'username',
+      constraints: false
     });
-    return userGroups.map((userGroup) => userGroup.groupname);
-  }
 
-  async getUserEmail (username) {
-    let user = await this.User.findOne({
-      attributes: ['email'],
-      where: {username: username}
+    // Custom attributes of each user (e.g. department, phone), one row per
+    // attribute, with the value JSON encoded
+    this.UserAttribute = this.sequelize.define('user_attributes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.User,
+          // Column name of the referenced model
+          key: 'username'
+        },
+        unique: 'userAttribute'
+      },
+      name: {
+        type: Sequelize.STRING,
+        unique: 'userAttribute'
+      },
+      value: {
+        type: Sequelize.TEXT
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-    return user.email;
-  }
 
-  async getUserFirstName (username) {
-    let user = await this.User.findOne({
-      attributes: ['firstName'],
-      where: {username: username}
+    // Groups contained in other groups: the members of a subgroup are
+    // members of the groups containing it too
+    this.GroupSubgroup = this.sequelize.define('group_subgroups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.Group,
+          // Column name of the referenced model
+          key: 'groupname'
+        },
+        unique: 'groupSubgroup'
+      },
+      subgroup: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.Group,
+          // Column name of the referenced model
+          key: 'groupname'
+        },
+        unique: 'groupSubgroup'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-    return user.firstName;
-  }
 
-  async getUserLastName (username) {
-    let user = await this.User.findOne({
-      attributes: ['lastName'],
-      where: {username: username}
+    // Permissions (e.g. 'users:write') granted to the members of each group
+    this.GroupPermission = this.sequelize.define('group_permissions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.Group,
+          // Column name of the referenced model
+          key: 'groupname'
+        },
+        unique: 'groupPermission'
+      },
+      permission: {
+        type: Sequelize.STRING,
+        unique: 'groupPermission'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-    return user.lastName;
-  }
 
-  async getUser (username) {
-    let user = await this.User.findOne({
-      attributes: ['id', 'username', 'email', 'firstName', 'lastName'],
-      where: {username: username}
+    this.RefreshToken = this.sequelize.define('refresh_token', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // we only store the hash of the token, never the token itself
+      tokenHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        field: 'token_hash'
+      },
+      // tokens obtained by renewing one another belong to the same family
+      family: {
+        type: Sequelize.STRING
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      // UNIX time
+      expirationDate: {
+        type: Sequelize.BIGINT,
+        field: 'expiration_date'
+      },
+      // a token is marked as used once it's been exchanged for a new one
+      used: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      // OAuth client the token has been issued to (null if it has been
+      // issued by /authenticate)
+      clientId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        field: 'client_id'
+      },
+      // space separated scopes granted to the OAuth client (null if the
+      // token has been issued by /authenticate)
+      scope: {
+        type: Sequelize.STRING,
+        allowNull: true
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-    user = user.get();
-    user.groups = await this.getUserGroups(username);
-    return user;
-  }
 
-  async setUserGroups (username, groups) {
-    let userGroups = await this.UserGroups.findAll({
-      where: {username: username}
-    });
-    // Remove the user from groups not in the provided list
-    for (let userGroup of userGroups) {
-      if (groups.indexOf(userGroup.groupname) < 0) {
-        // Remove the user from this group
-        await this.UserGroups.destroy({
-          where: {id: userGroup.id}
-        });
+    // Revoked access tokens. An entry with a jti revokes a single token, while
+    // an entry without a jti revokes all the tokens issued to a user before
+    // the revocation date
+    this.RevokedToken = this.sequelize.define('revoked_token', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      jti: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      // UNIX time in milliseconds
+      revocationDate: {
+        type: Sequelize.BIGINT,
+        field: 'revocation_date'
+      },
+      // UNIX time after which the entry is no longer needed, since all the
+      // tokens it revokes have expired
+      expirationDate: {
+        type: Sequelize.BIGINT,
+        field: 'expiration_date'
       }
-    }
-    // Add the user to new groups
-    for (let group of groups) {
-      await this.UserGroups.findOrCreate({
-        where: {
-          username: username,
-          groupname: group
-        },
-        defaults: {
-          username: username,
-          groupname: group
-        }
-      });
-    }
-  }
-
-  async setUserEmail (username, email) {
-    await this.User.update({email: email}, {
-      where: {username: username}
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-  }
 
-  async setUserFirstName (username, firstName) {
-    await this.User.update({firstName: firstName}, {
-      where: {username: username}
+    // Keys used to sign tokens
+    this.SigningKey = this.sequelize.define('signing_key', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      kid: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      algorithm: {
+        type: Sequelize.STRING
+      },
+      // secret or PEM encoded private key
+      signingKey: {
+        type: Sequelize.TEXT,
+        field: 'signing_key'
+      },
+      // secret or PEM encoded public key
+      verificationKey: {
+        type: Sequelize.TEXT,
+        field: 'verification_key'
+      },
+      // whether the key is used to sign new tokens
+      current: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      // UNIX time after which a retired key can no longer be used (null for
+      // the current key)
+      expirationDate: {
+        type: Sequelize.BIGINT,
+        field: 'expiration_date'
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
-  }
 
-  async setUserLastName (username, lastName) {
-    await this.User.update({lastName: lastName}, {
-      where: {username: username}
+    // OAuth 2.0 client applications
+    this.Client = this.sequelize.define('client', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: Sequelize.STRING,
+        unique: true,
+        field: 'client_id'
+      },
+      name: {
+        type: Sequelize.STRING
+      },
+      // JSON encoded array of URIs
+      redirectUris: {
+        type: Sequelize.TEXT,
+        field: 'redirect_uris'
+      },
+      // null for public clients (e.g. SPAs)
+      secretHash: {
+        type: Sequelize.STRING,
+        field: 'secret_hash'
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
     });
+
+    // OAuth 2.0 authorization codes
+    this.AuthorizationCode = this.sequelize.define('authorization_code', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // we only store the hash of the code, never the code itself
+      codeHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        field: 'code_hash'
+      },
+      clientId: {
+        type: Sequelize.STRING,
+        field: 'client_id'
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      redirectUri: {
+        type: Sequelize.TEXT,
+        field: 'redirect_uri'
+      },
+      scope: {
+        type: Sequelize.STRING
+      },
+      nonce: {
+        type: Sequelize.STRING
+      },
+      // PKCE (S256) code challenge
+      codeChallenge: {
+        type: Sequelize.STRING,
+        field: 'code_challenge'
+      },
+      // UNIX time
+      authTime: {
+        type: Sequelize.BIGINT,
+        field: 'auth_time'
+      },
+      // UNIX time
+      expirationDate: {
+        type: Sequelize.BIGINT,
+        field: 'expiration_date'
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Service accounts, used by applications to obtain tokens through the
+    // OAuth 2.0 client credentials grant
+    this.ServiceAccount = this.sequelize.define('service_account', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: Sequelize.STRING,
+        unique: true,
+        field: 'client_id'
+      },
+      name: {
+        type: Sequelize.STRING
+      },
+      secretHash: {
+        type: Sequelize.STRING,
+        field: 'secret_hash'
+      },
+      disabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    this.ServiceAccountGroups = this.sequelize.define('service_account_groups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.ServiceAccount,
+          // Column name of the referenced model
+          key: 'client_id'
+        },
+        unique: 'serviceAccountGroup',
+        field: 'client_id'
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          // Reference to the other model
+          model: this.Group,
+          // Column name of the referenced model
+          key: 'groupname'
+        },
+        unique: 'serviceAccountGroup'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Authentication events and admin actions (see AuditLog)
+    this.AuditRecord = this.sequelize.define('audit_log', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // UNIX time
+      date: {
+        type: Sequelize.BIGINT
+      },
+      action: {
+        type: Sequelize.STRING
+      },
+      actor: {
+        type: Sequelize.STRING
+      },
+      target: {
+        type: Sequelize.STRING
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      success: {
+        type: Sequelize.BOOLEAN
+      },
+      // JSON encoded before/after diff
+      changes: {
+        type: Sequelize.TEXT
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Single-use tokens sent to users (e.g. password reset links)
+    this.OneTimeToken = this.sequelize.define('one_time_token', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // we only store the hash of the token, never the token itself
+      tokenHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        field: 'token_hash'
+      },
+      // what the token can be used for (e.g. 'password-reset')
+      purpose: {
+        type: Sequelize.STRING
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      // JSON encoded data depending on the purpose
+      data: {
+        type: Sequelize.TEXT
+      },
+      // UNIX time
+      expirationDate: {
+        type: Sequelize.BIGINT,
+        field: 'expiration_date'
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Hashes of the passwords previously assigned to each user
+    this.PasswordHistory = this.sequelize.define('password_history', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      passwordHash: {
+        type: Sequelize.STRING,
+        field: 'password_hash'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Failed login attempts, counted per username and per IP
+    this.LoginAttempts = this.sequelize.define('login_attempts', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // '<factor>:<username>' (e.g. 'password:admin') or 'ip:<ip>'
+      key: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      failures: {
+        type: Sequelize.INTEGER
+      },
+      // UNIX time
+      lastFailureDate: {
+        type: Sequelize.BIGINT,
+        field: 'last_failure_date'
+      },
+      // UNIX time
+      lockedUntil: {
+        type: Sequelize.BIGINT,
+        field: 'locked_until'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // TOTP secrets used for two-factor authentication
+    this.UserTOTP = this.sequelize.define('user_totp', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      // base32 encoded
+      secret: {
+        type: Sequelize.STRING
+      },
+      // the secret is only used once the user has confirmed the enrollment
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      // last time step a code has been accepted for (so that codes can't be
+      // reused)
+      lastUsedStep: {
+        type: Sequelize.BIGINT,
+        defaultValue: 0,
+        field: 'last_used_step'
+      }
+    }, {
+      // Model tableName will be the same as the model name
+      freezeTableName: true,
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    // Single-use recovery codes, which can replace a TOTP code
+    this.RecoveryCode = this.sequelize.define('recovery_code', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      // SHA-256 hash (see OpaqueToken.hashToken): codes are random, so unlike
+      // passwords they don't need a slow hash, which would make checking a
+      // code against every unused one of a user expensive
+      codeHash: {
+        type: Sequelize.STRING,
+        field: 'code_hash'
+      }
+    }, {
+      // don't forget to enable timestamps!
+      timestamps: true,
+      // I don't want createdAt
+      createdAt: 'creation_timestamp',
+      // I want updatedAt to actually be called updateTimestamp
+      updatedAt: 'update_timestamp'
+    });
+
+    this.migrator = new Migrator(this.sequelize);
+  }
+
+  async initialize () {
+    // the tables are created (and updated) by the migrations, the models
+    // above must match the schema they produce
+    if (this.autoMigrate) {
+      await this.migrator.migrate();
+      return;
+    }
+    let pendingMigrations = await this.migrator.getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      throw new Error('The auth db schema is out of date (pending ' +
+        'migrations: ' + pendingMigrations.join(', ') + '), run ' +
+        'saint-peter migrate');
+    }
+    // fail if the schema has been migrated by a newer version
+    await this.migrator.plan();
+  }
+
+  async close () {
+    await this.sequelize.close();
+  }
+
+  async authenticateUser (username, password) {
+    let user = await this.User.findOne({
+      where: {username: username}
+    });
+    if (!user) {
+      return false;
+    }
+    if (!(await PasswordHandler.verifyPassword(password, user.password))) {
+      return false;
+    }
+    // take this chance to upgrade hashes generated with outdated settings
+    if (PasswordHandler.needsRehash(user.password, this.passwordHashing)) {
+      await this.setUserPassword(username, password);
+    }
+    return true;
+  }
+
+  /**
+   * Return the groups a user belongs to
+   * @param username
+   * @param effective whether to include the groups the user belongs to
+   *   through nested groups (defaults to false)
+   */
+  async getUserGroups (username, effective = false) {
+    let userGroups = await this.UserGroups.findAll({
+      where: {username: username}
+    });
+    let groups = userGroups.map((userGroup) => userGroup.groupname);
+    return effective ? this.expandGroups(groups) : groups;
+  }
+
+  async getUserEmail (username) {
+    let user = await this.User.findOne({
+      attributes: ['email'],
+      where: {username: username}
+    });
+    return user.email;
+  }
+
+  async getUserFirstName (username) {
+    let user = await this.User.findOne({
+      attributes: ['firstName'],
+      where: {username: username}
+    });
+    return user.firstName;
+  }
+
+  async getUserLastName (username) {
+    let user = await this.User.findOne({
+      attributes: ['lastName'],
+      where: {username: username}
+    });
+    return user.lastName;
+  }
+
+  async getUser (username) {
+    let user = await this.User.findOne({
+      attributes: ['id', 'username', 'email', 'emailVerified', 'firstName', 'lastName', 'status'],
+      where: {username: username}
+    });
+    user = user.get();
+    user.groups = await this.getUserGroups(username);
+    user.attributes = await this.getUserAttributes(username);
+    return user;
+  }
+
+  async hasUser (username) {
+    return (await this.User.count({where: {username: username}})) > 0;
+  }
+
+  /**
+   * Return the custom attributes of a user, as an object mapping attribute
+   * names to their values
+   */
+  async getUserAttributes (username) {
+    return attributesObject(await this.UserAttribute.findAll({
+      attributes: ['name', 'value'],
+      where: {username: username}
+    }));
+  }
+
+  /**
+   * Set some custom attributes of a user, leaving the other ones alone
+   * @param username
+   * @param attributes object mapping attribute names to their new values
+   *   (null removes a value)
+   */
+  async setUserAttributes (username, attributes) {
+    if (!(await this.User.findOne({where: {username: username}}))) {
+      throw new Error('Cannot set attributes of user ' + username + ' because it doesn\'t exist');
+    }
+    for (let name in attributes) {
+      await this.UserAttribute.destroy({
+        where: {
+          username: username,
+          name: name
+        }
+      });
+      if (attributes[name] !== null) {
+        await this.UserAttribute.create({
+          username: username,
+          name: name,
+          value: JSON.stringify(attributes[name])
+        });
+      }
+    }
+  }
+
+  async setUserGroups (username, groups) {
+    let userGroups = await this.UserGroups.findAll({
+      where: {username: username}
+    });
+    // Remove the user from groups not in the provided list
+    for (let userGroup of userGroups) {
+      if (groups.indexOf(userGroup.groupname) < 0) {
+        // Remove the user from this group
+        await this.UserGroups.destroy({
+          where: {id: userGroup.id}
+        });
+      }
+    }
+    // Add the user to new groups
+    for (let group of groups) {
+      await this.UserGroups.findOrCreate({
+        where: {
+          username: username,
+          groupname: group
+        },
+        defaults: {
+          username: username,
+          groupname: group
+        }
+      });
+    }
+  }
+
+  /**
+   * Change the email of a user. A new email is not verified unless
+   * emailVerified is true
+   */
+  async setUserEmail (username, email, emailVerified = false) {
+    await this.User.update({
+      email: email,
+      emailVerified: emailVerified
+    }, {
+      where: {username: username}
+    });
+  }
+
+  async setUserStatus (username, status) {
+    await this.User.update({status: status}, {
+      where: {username: username}
+    });
+  }
+
+  async setUserEmailVerified (username, emailVerified) {
+    await this.User.update({emailVerified: emailVerified}, {
+      where: {username: username}
+    });
+  }
+
+  async setUserFirstName (username, firstName) {
+    await this.User.update({firstName: firstName}, {
+      where: {username: username}
+    });
+  }
+
+  async setUserLastName (username, lastName) {
+    await this.User.update({lastName: lastName}, {
+      where: {username: username}
+    });
+  }
+
+  async setUserPassword (username, password) {
+    let combinedHash = await PasswordHandler.hashPassword(password, this.passwordHashing);
+    await this.User.update({password: combinedHash}, {
+      where: {username: username}
+    });
+  }
+
+  /**
+   * Return the username of the user with the given email (or null if there's
+   * no such user)
+   */
+  async getUsernameByEmail (email) {
+    let user = await this.User.findOne({
+      attributes: ['username'],
+      where: {email: email}
+    });
+    return user ? user.username : null;
+  }
+
+  async getUsernames () {
+    let users = await this.User.findAll({attributes: ['username']});
+    return users.map((user) => user.username);
+  }
+
+  async getUsers () {
+    return (await this.findUsers()).users;
+  }
+
+  /**
+   * Search users.
+   * Returns an object containing the fields users (the requested page, each
+   * user including its groups) and total (the number of users matching the
+   * query)
+   * @param query object containing the following (optional) fields:
+   * - q: text to look for (ignoring case) in username, email, first name and
+   *   last name
+   * - group: only return the users belonging to this group
+   * - sort: one of username, email, firstName, lastName (defaults to
+   *   username)
+   * - order: one of asc, desc (defaults to asc)
+   * - limit: maximum number of users to return (all of them if missing)
+   * - offset: number of users to skip (defaults to 0)
+   */
+  async findUsers (query = {}) {
+    let where = {};
+    if (query.q) {
+      // q is plain text: the wildcards of LIKE (and the escape character
+      // itself) are escaped, with ! rather than backslash, which some dialects
+      // treat specially in string literals
+      let pattern = this.sequelize.escape('%' +
+        String(query.q).toLowerCase().replace(/[!%_]/g, '!$&') + '%');
+      where[Sequelize.Op.or] = ['username', 'email', 'first_name', 'last_name']
+        .map((column) => Sequelize.where(Sequelize.fn('lower', Sequelize.col('user.' + column)),
+          'LIKE', Sequelize.literal(pattern + ' ESCAPE \'!\'')));
+    }
+    let groupFilter = [];
+    if (query.group) {
+      groupFilter.push({
+        model: this.UserGroups,
+        as: 'groupFilter',
+        attributes: [],
+        where: {groupname: query.group},
+        required: true
+      });
+    }
+    let total = await this.User.count({
+      where: where,
+      include: groupFilter,
+      distinct: true,
+      col: 'username'
+    });
+    let sort = userSortFields.indexOf(query.sort) >= 0 ? query.sort : 'username';
+    let order = query.order === 'desc' ? 'DESC' : 'ASC';
+    // usernames are unique, so they make the order deterministic
+    let sortOrder = sort === 'username' ? [[sort, order]] : [[sort, order], ['username', order]];
+    let users = await this.User.findAll({
+      attributes: ['id', 'username', 'email', 'emailVerified', 'firstName', 'lastName', 'status'],
+      where: where,
+      include: groupFilter.concat([{
+        model: this.UserGroups,
+        as: 'memberships',
+        attributes: ['groupname']
+      }]),
+      order: sortOrder,
+      limit: query.limit,
+      offset: query.offset,
+      subQuery: true
+    });
+    // attributes are fetched with a separate query: joining them too would
+    // multiply the rows of each user
+    let userAttributes = await this.UserAttribute.findAll({
+      attributes: ['username', 'name', 'value'],
+      where: {username: {[Sequelize.Op.in]: users.map((user) => user.username)}}
+    });
+    return {
+      users: users.map((user) => {
+        let memberships = user.memberships;
+        user = user.get({plain: true});
+        delete user.memberships;
+        user.groups = memberships.map((userGroup) => userGroup.groupname);
+        user.attributes = attributesObject(userAttributes
+          .filter((userAttribute) => userAttribute.username === user.username));
+        return user;
+      }),
+      total: total
+    };
+  }
+
+  /**
+   * Return every user, including the password hash (see importUsers), sorted
+   * by username
+   */
+  async exportUsers () {
+    let passwordHashes = {};
+    for (let user of await this.User.findAll({attributes: ['username', 'password']})) {
+      passwordHashes[user.username] = user.password;
+    }
+    return (await this.findUsers()).users.map((user) => ({
+      username: user.username,
+      passwordHash: passwordHashes[user.username],
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      status: user.status,
+      groups: user.groups,
+      attributes: user.attributes
+    }));
+  }
+
+  /**
+   * Create or update many users at once, in a single transaction: either
+   * every change is applied or none is.
+   * Returns an object containing the usernames of the created and the
+   * updated users (fields created and updated)
+   * @param users array of objects containing the field username and,
+   *   optionally, passwordHash (generated by PasswordHandler, required for
+   *   new users), email, emailVerified, firstName, lastName, status, groups
+   *   (replacing the current ones, missing groups are created) and
+   *   attributes (see setUserAttributes). Missing fields are left alone,
+   *   except emailVerified, which is reset when the email changes
+   */
+  async importUsers (users) {
+    let result = {
+      created: [],
+      updated: []
+    };
+    await this.sequelize.transaction(async (transaction) => {
+      for (let user of users) {
+        let fields = {};
+        for (let field of ['email', 'emailVerified', 'firstName', 'lastName', 'status']) {
+          if (typeof user[field] !== 'undefined') {
+            fields[field] = user[field];
+          }
+        }
+        if (user.passwordHash) {
+          fields.password = user.passwordHash;
+        }
+        let existingUser = await this.User.findOne({
+          where: {username: user.username},
+          transaction: transaction
+        });
+        if (existingUser) {
+          // a new email hasn't been verified, unless the record says otherwise
+          if ('email' in fields && fields.email !== existingUser.email &&
+              !('emailVerified' in fields)) {
+            fields.emailVerified = false;
+          }
+          await existingUser.update(fields, {transaction: transaction});
+          result.updated.push(user.username);
+        } else {
+          await this.User.create(Object.assign({
+            username: user.username,
+            email: '',
+            emailVerified: false,
+            firstName: '',
+            lastName: '',
+            status: 'active'
+          }, fields), {transaction: transaction});
+          result.created.push(user.username);
+        }
+        if (user.groups) {
+          for (let group of user.groups) {
+            if (!(await this.Group.findOne({where: {groupname: group}, transaction: transaction}))) {
+              await this.Group.create({groupname: group}, {transaction: transaction});
+            }
+          }
+          await this.UserGroups.destroy({
+            where: {
+              username: user.username,
+              groupname: {[Sequelize.Op.notIn]: user.groups}
+            },
+            transaction: transaction
+          });
+          let currentGroups = (await this.UserGroups.findAll({
+            where: {username: user.username},
+            transaction: transaction
+          })).map((userGroup) => userGroup.groupname);
+          for (let group of user.groups) {
+            if (currentGroups.indexOf(group) < 0) {
+              await this.UserGroups.create({
+                username: user.username,
+                groupname: group
+              }, {transaction: transaction});
+            }
+          }
+        }
+        for (let name in user.attributes || {}) {
+          await this.UserAttribute.destroy({
+            where: {
+              username: user.username,
+              name: name
+            },
+            transaction: transaction
+          });
+          if (user.attributes[name] !== null) {
+            await this.UserAttribute.create({
+              username: user.username,
+              name: name,
+              value: JSON.stringify(user.attributes[name])
+            }, {transaction: transaction});
+          }
+        }
+      }
+    });
+    return result;
+  }
+
+  async getGroups () {
+    let groups = await this.Group.findAll({attributes: ['groupname']});
+    return groups.map((group) => group.groupname);
+  }
+
+  /**
+   * Add a user. Returns false if the username is already taken
+   * @param username
+   * @param password
+   * @param status one of active, pending (defaults to active)
+   */
+  async addUser (username, password, status = 'active') {
+    try {
+      let combinedHash = await PasswordHandler.hashPassword(password, this.passwordHashing);
+      await this.User.create({
+        username: username,
+        password: combinedHash,
+        email: '',
+        emailVerified: false,
+        firstName: '',
+        lastName: '',
+        status: status
+      });
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Delete a user, along with everything stored about it, in a single
+   * transaction. Revoked tokens are kept, since the tokens they revoke may
+   * still be around
+   */
+  async deleteUser (username) {
+    let deleted = false;
+    await this.sequelize.transaction(async (transaction) => {
+      let user = await this.User.findOne({
+        where: {username: username},
+        transaction: transaction
+      });
+      if (!user) {
+        return;
+      }
+      for (let model of [this.UserGroups, this.UserAttribute, this.RefreshToken,
+        this.AuthorizationCode, this.UserTOTP, this.RecoveryCode,
+        this.PasswordHistory, this.OneTimeToken]) {
+        await model.destroy({
+          where: {username: username},
+          transaction: transaction
+        });
+      }
+      await this.User.destroy({
+        where: {id: user.id},
+        transaction: transaction
+      });
+      deleted = true;
+    });
+    return deleted;
+  }
+
+  /**
+   * Change the username of a user, in a single transaction. Groups,
+   * attributes, two-factor authentication and password history move to the
+   * new username, while refresh tokens, authorization codes and one-time
+   * tokens issued to the old one are deleted (revoking the access tokens is
+   * up to the caller).
+   * Throws an error if the user doesn't exist or the new username is taken
+   */
+  async renameUser (username, newUsername) {
+    await this.sequelize.transaction(async (transaction) => {
+      let user = await this.User.findOne({
+        where: {username: username},
+        transaction: transaction
+      });
+      if (!user) {
+        throw new Error('Cannot rename user ' + username + ' because it doesn\'t exist');
+      }
+      if (await this.User.findOne({where: {username: newUsername}, transaction: transaction})) {
+        throw new Error('Cannot rename user ' + username + ' to ' + newUsername +
+          ' because it already exists');
+      }
+      // memberships and attributes reference the username, which can't be
+      // changed while they exist: they're added back after the user has
+      // been renamed
+      let memberships = await this.UserGroups.findAll({
+        where: {username: username},
+        transaction: transaction
+      });
+      let attributes = await this.UserAttribute.findAll({
+        where: {username: username},
+        transaction: transaction
+      });
+      for (let model of [this.UserGroups, this.UserAttribute, this.RefreshToken,
+        this.AuthorizationCode, this.OneTimeToken]) {
+        await model.destroy({
+          where: {username: username},
+          transaction: transaction
+        });
+      }
+      await this.User.update({
+        username: newUsername
+      }, {
+        where: {id: user.id},
+        transaction: transaction
+      });
+      for (let membership of memberships) {
+        await this.UserGroups.create({
+          username: newUsername,
+          groupname: membership.groupname
+        }, {transaction: transaction});
+      }
+      for (let attribute of attributes) {
+        await this.UserAttribute.create({
+          username: newUsername,
+          name: attribute.name,
+          value: attribute.value
+        }, {transaction: transaction});
+      }
+      for (let model of [this.UserTOTP, this.RecoveryCode, this.PasswordHistory]) {
+        await model.update({
+          username: newUsername
+        }, {
+          where: {username: username},
+          transaction: transaction
+        });
+      }
+    });
+  }
+
+  async addGroup (group) {
+    try {
+      await this.Group.create({
+        groupname: group
+      });
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+
+  async deleteGroup (groupname) {
+    let group = await this.Group.findOne({
+      where: {groupname: groupname}
+    });
+    if (!group) {
+      return false;
+    }
+    await this.UserGroups.destroy({
+      where: {groupname: groupname}
+    });
+    await this.ServiceAccountGroups.destroy({
+      where: {groupname: groupname}
+    });
+    await this.GroupSubgroup.destroy({
+      where: {
+        [Sequelize.Op.or]: [{groupname: groupname}, {subgroup: groupname}]
+      }
+    });
+    await this.GroupPermission.destroy({
+      where: {groupname: groupname}
+    });
+    await this.Group.destroy({
+      where: {id: group.id}
+    });
+    return true;
+  }
+
+  /**
+   * Return the given groups along with all the groups containing them,
+   * directly or through other groups (sorted and without duplicates)
+   */
+  async expandGroups (groups) {
+    let effectiveGroups = new Set(groups);
+    let newGroups = Array.from(effectiveGroups);
+    // walk up the hierarchy one level at a time
+    while (newGroups.length > 0) {
+      let parents = await this.GroupSubgroup.findAll({
+        attributes: ['groupname'],
+        where: {subgroup: {[Sequelize.Op.in]: newGroups}}
+      });
+      newGroups = [];
+      for (let parent of parents) {
+        if (!effectiveGroups.has(parent.groupname)) {
+          effectiveGroups.add(parent.groupname);
+          newGroups.push(parent.groupname);
+        }
+      }
+    }
+    return Array.from(effectiveGroups).sort();
+  }
+
+  /**
+   * Return the groups directly contained in a group (sorted)
+   */
+  async getSubgroups (groupname) {
+    let subgroups = await this.GroupSubgroup.findAll({
+      attributes: ['subgroup'],
+      where: {groupname: groupname},
+      order: [['subgroup', 'ASC']]
+    });
+    return subgroups.map((subgroup) => subgroup.subgroup);
+  }
+
+  /**
+   * Return the whole group hierarchy, as an object mapping group names to
+   * arrays of subgroups (groups without subgroups are omitted)
+   */
+  async getGroupHierarchy () {
+    let groupSubgroups = await this.GroupSubgroup.findAll({
+      attributes: ['groupname', 'subgroup'],
+      order: [['groupname', 'ASC'], ['subgroup', 'ASC']]
+    });
+    let hierarchy = {};
+    for (let groupSubgroup of groupSubgroups) {
+      if (!(groupSubgroup.groupname in hierarchy)) {
+        hierarchy[groupSubgroup.groupname] = [];
+      }
+      hierarchy[groupSubgroup.groupname].push(groupSubgroup.subgroup);
+    }
+    return hierarchy;
+  }
+
+  /**
+   * Make a group contain another one.
+   * Returns false if either group doesn't exist, if the subgroup is already
+   * contained in the group or if this would create a cycle (i.e. the group is
+   * contained in the subgroup)
+   */
+  async addSubgroup (groupname, subgroup) {
+    let groups = await this.Group.count({
+      where: {groupname: {[Sequelize.Op.in]: [groupname, subgroup]}}
+    });
+    if (groups !== 2 || (await this.expandGroups([groupname])).indexOf(subgroup) >= 0) {
+      return false;
+    }
+    try {
+      await this.GroupSubgroup.create({
+        groupname: groupname,
+        subgroup: subgroup
+      });
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remove a group from another one.
+   * Returns false if the subgroup wasn't contained in the group
+   */
+  async removeSubgroup (groupname, subgroup) {
+    let affectedRows = await this.GroupSubgroup.destroy({
+      where: {
+        groupname: groupname,
+        subgroup: subgroup
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  /**
+   * Return the permissions granted to any of the given groups (sorted and
+   * without duplicates)
+   */
+  async getGroupPermissions (groups) {
+    if (groups.length === 0) {
+      return [];
+    }
+    let groupPermissions = await this.GroupPermission.findAll({
+      attributes: ['permission'],
+      where: {groupname: {[Sequelize.Op.in]: groups}}
+    });
+    return Array.from(new Set(groupPermissions
+      .map((groupPermission) => groupPermission.permission))).sort();
+  }
+
+  /**
+   * Return the permissions of every group, as an object mapping group names
+   * to arrays of permissions (groups without permissions are omitted)
+   */
+  async getPermissions () {
+    let groupPermissions = await this.GroupPermission.findAll({
+      attributes: ['groupname', 'permission'],
+      order: [['groupname', 'ASC'], ['permission', 'ASC']]
+    });
+    let permissions = {};
+    for (let groupPermission of groupPermissions) {
+      if (!(groupPermission.groupname in permissions)) {
+        permissions[groupPermission.groupname] = [];
+      }
+      permissions[groupPermission.groupname].push(groupPermission.permission);
+    }
+    return permissions;
+  }
+
+  /**
+   * Grant a permission to the members of a group.
+   * Returns false if the group doesn't exist or already has the permission
+   */
+  async addGroupPermission (groupname, permission) {
+    if (!(await this.Group.findOne({where: {groupname: groupname}}))) {
+      return false;
+    }
+    try {
+      await this.GroupPermission.create({
+        groupname: groupname,
+        permission: permission
+      });
+    } catch (e) {
+      return false;
+    }
+    return true;
   }
 
-  async setUserPassword (username, password) {
-    let combinedHash = await PasswordHandler.hashPassword(password);
-    await this.User.update({password: combinedHash}, {
+  /**
+   * Revoke a permission from a group.
+   * Returns false if the group didn't have the permission
+   */
+  async removeGroupPermission (groupname, permission) {
+    let affectedRows = await this.GroupPermission.destroy({
+      where: {
+        groupname: groupname,
+        permission: permission
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  async addUserToGroup (username, group) {
+    try {
+      await this.UserGroups.create({
+        username: username,
+        groupname: group
+      });
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+
+  async removeUserFromGroup (username, group) {
+    await this.UserGroups.destroy({
+      where: {
+        username: username,
+        groupname: group
+      }
+    });
+  }
+
+  async addRefreshToken (tokenHash, username, family, expirationDate,
+    clientId = null, scope = null) {
+    await this.RefreshToken.create({
+      tokenHash: tokenHash,
+      username: username,
+      family: family,
+      expirationDate: expirationDate,
+      used: false,
+      clientId: clientId,
+      scope: scope
+    });
+  }
+
+  async getRefreshToken (tokenHash) {
+    let refreshToken = await this.RefreshToken.findOne({
+      attributes: ['tokenHash', 'username', 'family', 'expirationDate', 'used',
+        'clientId', 'scope'],
+      where: {tokenHash: tokenHash}
+    });
+    if (!refreshToken) {
+      return null;
+    }
+    refreshToken = refreshToken.get();
+    refreshToken.expirationDate = Number(refreshToken.expirationDate);
+    refreshToken.used = Boolean(refreshToken.used);
+    return refreshToken;
+  }
+
+  /**
+   * Mark a refresh token as used.
+   * Returns false if the token had already been used (or doesn't exist)
+   */
+  async useRefreshToken (tokenHash) {
+    let [affectedRows] = await this.RefreshToken.update({used: true}, {
+      where: {
+        tokenHash: tokenHash,
+        used: false
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  async revokeRefreshTokenFamily (family) {
+    await this.RefreshToken.destroy({
+      where: {family: family}
+    });
+  }
+
+  async revokeUserRefreshTokens (username) {
+    await this.RefreshToken.destroy({
       where: {username: username}
     });
   }
 
-  async getUsernames () {
-    let users = await this.User.findAll({attributes: ['username']});
-    return users.map((user) => user.username);
+  async deleteExpiredRefreshTokens () {
+    await this.RefreshToken.destroy({
+      where: {
+        expirationDate: {[Sequelize.Op.lt]: Math.floor(Date.now() / 1000)}
+      }
+    });
   }
 
-  async getUsers () {
-    let users = await this.User.findAll({
-      attributes: ['id', 'username', 'email', 'firstName', 'lastName']
+  /**
+   * Revoke a single token.
+   * Returns false if the token had already been revoked
+   */
+  async revokeToken (jti, username, expirationDate) {
+    let [, created] = await this.RevokedToken.findOrCreate({
+      where: {jti: jti},
+      defaults: {
+        jti: jti,
+        username: username,
+        revocationDate: Date.now(),
+        expirationDate: expirationDate
+      }
+    });
+    return created;
+  }
+
+  async revokeUserTokens (username, expirationDate) {
+    await this.RevokedToken.create({
+      jti: null,
+      username: username,
+      revocationDate: Date.now(),
+      expirationDate: expirationDate
     });
-    users = users.map((user) => user.get());
-    for (let user of users) {
-      user.groups = await this.getUserGroups(user.username);
+  }
+
+  /**
+   * Check whether a token has been revoked, either by itself (through its jti)
+   * or because all the tokens issued to its user before a given date have
+   * been revoked.
+   * Revocation dates are in milliseconds, while the issue date is the iat
+   * claim of the token (in seconds, with a fractional part for the tokens we
+   * sign), so that tokens issued right after a revocation are still valid
+   */
+  async isTokenRevoked (jti, username, issueDate) {
+    let conditions = [{
+      jti: null,
+      username: username,
+      revocationDate: {[Sequelize.Op.gt]: Math.round(issueDate * 1000)}
+    }];
+    if (jti) {
+      conditions.push({jti: jti});
     }
-    return users;
+    let count = await this.RevokedToken.count({
+      where: {[Sequelize.Op.or]: conditions}
+    });
+    return count > 0;
   }
 
-  async getGroups () {
-    let groups = await this.Group.findAll({attributes: ['groupname']});
-    return groups.map((group) => group.groupname);
+  async deleteExpiredRevokedTokens () {
+    await this.RevokedToken.destroy({
+      where: {
+        expirationDate: {[Sequelize.Op.lt]: Math.floor(Date.now() / 1000)}
+      }
+    });
+  }
+
+  async getSigningKeys () {
+    let signingKeys = await this.SigningKey.findAll({
+      attributes: ['kid', 'algorithm', 'signingKey', 'verificationKey',
+        'current', 'expirationDate'],
+      order: [['id', 'ASC']]
+    });
+    return signingKeys.map((signingKey) => {
+      signingKey = signingKey.get();
+      signingKey.current = Boolean(signingKey.current);
+      if (signingKey.expirationDate !== null) {
+        signingKey.expirationDate = Number(signingKey.expirationDate);
+      }
+      return signingKey;
+    });
+  }
+
+  async addSigningKey (signingKey) {
+    await this.SigningKey.create({
+      kid: signingKey.kid,
+      algorithm: signingKey.algorithm,
+      signingKey: signingKey.signingKey,
+      verificationKey: signingKey.verificationKey,
+      current: signingKey.current,
+      expirationDate: signingKey.expirationDate
+    });
+  }
+
+  async retireSigningKey (kid, expirationDate) {
+    await this.SigningKey.update({
+      current: false,
+      expirationDate: expirationDate
+    }, {
+      where: {kid: kid}
+    });
+  }
+
+  async deleteExpiredSigningKeys () {
+    await this.SigningKey.destroy({
+      where: {
+        expirationDate: {[Sequelize.Op.lt]: Math.floor(Date.now() / 1000)}
+      }
+    });
+  }
+
+  async getClients () {
+    let clients = await this.Client.findAll({
+      attributes: ['clientId', 'name', 'redirectUris', 'secretHash']
+    });
+    return clients.map(clientToObject);
+  }
+
+  async getClient (clientId) {
+    let client = await this.Client.findOne({
+      attributes: ['clientId', 'name', 'redirectUris', 'secretHash'],
+      where: {clientId: clientId}
+    });
+    return client ? clientToObject(client) : null;
   }
 
-  async addUser (username, password) {
+  async addClient (client) {
     try {
-      let combinedHash = await PasswordHandler.hashPassword(password);
-      await this.User.create({
-        username: username,
-        password: combinedHash,
-        email: '',
-        firstName: '',
-        lastName: ''
+      await this.Client.create({
+        clientId: client.clientId,
+        name: client.name,
+        redirectUris: JSON.stringify(client.redirectUris || []),
+        secretHash: client.secretHash || null
       });
     } catch (e) {
       return false;
@@ -268,78 +1745,486 @@ class SQLAuthDB {
     return true;
   }
 
-  async deleteUser (username) {
-    let user = await this.User.findOne({
-      where: {username: username}
+  async updateClient (clientId, fields) {
+    let values = {};
+    if ('name' in fields) {
+      values.name = fields.name;
+    }
+    if ('redirectUris' in fields) {
+      values.redirectUris = JSON.stringify(fields.redirectUris);
+    }
+    if ('secretHash' in fields) {
+      values.secretHash = fields.secretHash;
+    }
+    let [affectedRows] = await this.Client.update(values, {
+      where: {clientId: clientId}
     });
-    if (!user) {
-      return false;
+    return affectedRows > 0;
+  }
+
+  async deleteClient (clientId) {
+    let affectedRows = await this.Client.destroy({
+      where: {clientId: clientId}
+    });
+    return affectedRows > 0;
+  }
+
+  async addAuthorizationCode (codeHash, authorizationCode) {
+    await this.AuthorizationCode.create(Object.assign({}, authorizationCode, {
+      codeHash: codeHash
+    }));
+  }
+
+  /**
+   * Return the authorization code with the given hash and delete it, so that
+   * it can't be used again. Returns null if there's no such code
+   */
+  async consumeAuthorizationCode (codeHash) {
+    let authorizationCode = await this.AuthorizationCode.findOne({
+      attributes: ['clientId', 'username', 'redirectUri', 'scope', 'nonce',
+        'codeChallenge', 'authTime', 'expirationDate'],
+      where: {codeHash: codeHash}
+    });
+    if (!authorizationCode) {
+      return null;
     }
-    await this.UserGroups.destroy({
-      where: {username: username}
+    // if someone else deleted the code in the meantime, they got it first
+    let affectedRows = await this.AuthorizationCode.destroy({
+      where: {codeHash: codeHash}
     });
-    await this.User.destroy({
-      where: {id: user.id}
+    if (affectedRows === 0) {
+      return null;
+    }
+    authorizationCode = authorizationCode.get();
+    authorizationCode.authTime = Number(authorizationCode.authTime);
+    authorizationCode.expirationDate = Number(authorizationCode.expirationDate);
+    return authorizationCode;
+  }
+
+  async deleteExpiredAuthorizationCodes () {
+    await this.AuthorizationCode.destroy({
+      where: {
+        expirationDate: {[Sequelize.Op.lt]: Math.floor(Date.now() / 1000)}
+      }
     });
-    return true;
   }
 
-  async renameUser (username, newUsername) {
-    let user = await this.User.findOne({
-      where: {username: username}
+  async getServiceAccounts () {
+    let serviceAccounts = await this.ServiceAccount.findAll({
+      attributes: ['clientId', 'name', 'secretHash', 'disabled']
     });
-    if (!user) {
-      throw new Error('Cannot rename user ' + username + 'because it doesn\'t exist');
+    // fetch the groups of all service accounts at once
+    let serviceAccountGroups = await this.ServiceAccountGroups.findAll({
+      attributes: ['clientId', 'groupname']
+    });
+    return serviceAccounts.map((serviceAccount) => {
+      serviceAccount = serviceAccount.get();
+      serviceAccount.disabled = Boolean(serviceAccount.disabled);
+      serviceAccount.groups = serviceAccountGroups
+        .filter((serviceAccountGroup) => serviceAccountGroup.clientId === serviceAccount.clientId)
+        .map((serviceAccountGroup) => serviceAccountGroup.groupname);
+      return serviceAccount;
+    });
+  }
+
+  async getServiceAccount (clientId) {
+    let serviceAccount = await this.ServiceAccount.findOne({
+      attributes: ['clientId', 'name', 'secretHash', 'disabled'],
+      where: {clientId: clientId}
+    });
+    if (!serviceAccount) {
+      return null;
     }
-    await this.User.update({
-      username: newUsername
-    }, {
-      where: {id: user.id}
+    serviceAccount = serviceAccount.get();
+    serviceAccount.disabled = Boolean(serviceAccount.disabled);
+    let serviceAccountGroups = await this.ServiceAccountGroups.findAll({
+      where: {clientId: clientId}
     });
+    serviceAccount.groups = serviceAccountGroups.map(
+      (serviceAccountGroup) => serviceAccountGroup.groupname);
+    return serviceAccount;
   }
 
-  async addGroup (group) {
+  async addServiceAccount (serviceAccount) {
     try {
-      await this.Group.create({
-        groupname: group
+      await this.ServiceAccount.create({
+        clientId: serviceAccount.clientId,
+        name: serviceAccount.name,
+        secretHash: serviceAccount.secretHash,
+        disabled: false
       });
     } catch (e) {
       return false;
     }
+    await this.setServiceAccountGroups(serviceAccount.clientId,
+      serviceAccount.groups || []);
     return true;
   }
 
-  async deleteGroup (groupname) {
-    let group = await this.Group.findOne({
-      where: {groupname: groupname}
+  async setServiceAccountGroups (clientId, groups) {
+    await this.ServiceAccountGroups.destroy({
+      where: {clientId: clientId}
+    });
+    for (let group of groups) {
+      await this.ServiceAccountGroups.create({
+        clientId: clientId,
+        groupname: group
+      });
+    }
+  }
+
+  async updateServiceAccount (clientId, fields) {
+    let serviceAccount = await this.ServiceAccount.findOne({
+      where: {clientId: clientId}
     });
-    if (!groupname) {
+    if (!serviceAccount) {
       return false;
     }
-    await this.Groups.destroy({
-      where: {id: group.id}
+    let values = {};
+    for (let field of ['name', 'secretHash', 'disabled']) {
+      if (field in fields) {
+        values[field] = fields[field];
+      }
+    }
+    await this.ServiceAccount.update(values, {
+      where: {id: serviceAccount.id}
     });
+    if ('groups' in fields) {
+      await this.setServiceAccountGroups(clientId, fields.groups);
+    }
     return true;
   }
 
-  async addUserToGroup (username, group) {
-    try {
-      await this.UserGroups.create({
+  async deleteServiceAccount (clientId) {
+    await this.ServiceAccountGroups.destroy({
+      where: {clientId: clientId}
+    });
+    let affectedRows = await this.ServiceAccount.destroy({
+      where: {clientId: clientId}
+    });
+    return affectedRows > 0;
+  }
+
+  /**
+   * Return the TOTP enrollment of a user (including the hashes of the
+   * remaining recovery codes), or null if the user has none
+   */
+  async getTOTP (username) {
+    let totp = await this.UserTOTP.findOne({
+      attributes: ['secret', 'enabled', 'lastUsedStep'],
+      where: {username: username}
+    });
+    if (!totp) {
+      return null;
+    }
+    totp = totp.get();
+    totp.enabled = Boolean(totp.enabled);
+    totp.lastUsedStep = Number(totp.lastUsedStep);
+    let recoveryCodes = await this.RecoveryCode.findAll({
+      attributes: ['codeHash'],
+      where: {username: username}
+    });
+    totp.recoveryCodes = recoveryCodes.map((recoveryCode) => recoveryCode.codeHash);
+    return totp;
+  }
+
+  /**
+   * Start a new (not yet enabled) TOTP enrollment, replacing any previous one
+   */
+  async setTOTP (username, secret) {
+    await this.deleteTOTP(username);
+    await this.UserTOTP.create({
+      username: username,
+      secret: secret,
+      enabled: false,
+      lastUsedStep: 0
+    });
+  }
+
+  /**
+   * Enable the TOTP enrollment of a user, along with a new set of recovery
+   * codes
+   */
+  async enableTOTP (username, recoveryCodeHashes) {
+    await this.UserTOTP.update({enabled: true}, {
+      where: {username: username}
+    });
+    await this.RecoveryCode.destroy({
+      where: {username: username}
+    });
+    for (let codeHash of recoveryCodeHashes) {
+      await this.RecoveryCode.create({
         username: username,
-        groupname: group
+        codeHash: codeHash
       });
-    } catch (e) {
-      return false;
     }
-    return true;
   }
 
-  async removeUserFromGroup (username, group) {
-    await this.UserGroups.destroy({
+  /**
+   * Record that a code for the given time step has been used.
+   * Returns false if a code for the same (or a later) time step had already
+   * been used
+   */
+  async useTOTPStep (username, step) {
+    let [affectedRows] = await this.UserTOTP.update({lastUsedStep: step}, {
       where: {
         username: username,
-        groupname: group
+        lastUsedStep: {[Sequelize.Op.lt]: step}
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  /**
+   * Delete a recovery code once it's been used.
+   * Returns false if the code had already been used
+   */
+  async useRecoveryCode (username, codeHash) {
+    let affectedRows = await this.RecoveryCode.destroy({
+      where: {
+        username: username,
+        codeHash: codeHash
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  async deleteTOTP (username) {
+    await this.RecoveryCode.destroy({
+      where: {username: username}
+    });
+    let affectedRows = await this.UserTOTP.destroy({
+      where: {username: username}
+    });
+    return affectedRows > 0;
+  }
+
+  async getLoginAttempts (key) {
+    let loginAttempts = await this.LoginAttempts.findOne({
+      attributes: ['key', 'failures', 'lastFailureDate', 'lockedUntil'],
+      where: {key: key}
+    });
+    if (!loginAttempts) {
+      return null;
+    }
+    loginAttempts = loginAttempts.get();
+    loginAttempts.failures = Number(loginAttempts.failures);
+    loginAttempts.lastFailureDate = Number(loginAttempts.lastFailureDate);
+    loginAttempts.lockedUntil = Number(loginAttempts.lockedUntil);
+    return loginAttempts;
+  }
+
+  /**
+   * Replace a counter of failed login attempts, but only if it hasn't
+   * changed since it was read (expected is null if it didn't exist), so
+   * that concurrent changes can't overwrite each other.
+   * Returns false if the counter has changed in the meantime
+   */
+  async updateLoginAttempts (key, expected, loginAttempts) {
+    let values = {
+      failures: loginAttempts.failures,
+      lastFailureDate: loginAttempts.lastFailureDate,
+      lockedUntil: loginAttempts.lockedUntil
+    };
+    if (!expected) {
+      try {
+        await this.LoginAttempts.create(Object.assign({key: key}, values));
+      } catch (e) {
+        // keys are unique: it has just been created by someone else
+        if (e instanceof Sequelize.UniqueConstraintError) {
+          return false;
+        }
+        throw e;
+      }
+      return true;
+    }
+    let [affectedRows] = await this.LoginAttempts.update(values, {
+      where: {
+        key: key,
+        failures: expected.failures,
+        lastFailureDate: expected.lastFailureDate,
+        lockedUntil: expected.lockedUntil
+      }
+    });
+    return affectedRows > 0;
+  }
+
+  async deleteLoginAttempts (key) {
+    let affectedRows = await this.LoginAttempts.destroy({
+      where: {key: key}
+    });
+    return affectedRows > 0;
+  }
+
+  /**
+   * Delete the counters whose last failure happened before the given date
+   * (UNIX time)
+   */
+  async deleteExpiredLoginAttempts (date) {
+    await this.LoginAttempts.destroy({
+      where: {
+        lastFailureDate: {[Sequelize.Op.lt]: date}
+      }
+    });
+  }
+
+  /**
+   * Return the hashes of the passwords previously assigned to a user, most
+   * recent first
+   */
+  async getPasswordHistory (username) {
+    let passwordHistory = await this.PasswordHistory.findAll({
+      attributes: ['passwordHash'],
+      where: {username: username},
+      order: [['id', 'DESC']]
+    });
+    return passwordHistory.map((entry) => entry.passwordHash);
+  }
+
+  /**
+   * Add a password hash to the history of a user, keeping only the most
+   * recent maxEntries ones
+   */
+  async addPasswordHistory (username, passwordHash, maxEntries) {
+    await this.PasswordHistory.create({
+      username: username,
+      passwordHash: passwordHash
+    });
+    let expiredEntries = await this.PasswordHistory.findAll({
+      attributes: ['id'],
+      where: {username: username},
+      order: [['id', 'DESC']],
+      offset: maxEntries
+    });
+    if (expiredEntries.length > 0) {
+      await this.PasswordHistory.destroy({
+        where: {id: {[Sequelize.Op.in]: expiredEntries.map((entry) => entry.id)}}
+      });
+    }
+  }
+
+  /**
+   * Store a single-use token
+   * @param tokenHash hash of the token
+   * @param oneTimeToken object containing the fields purpose, username,
+   * data (any JSON serializable value) and expirationDate
+   */
+  async addOneTimeToken (tokenHash, oneTimeToken) {
+    await this.OneTimeToken.create({
+      tokenHash: tokenHash,
+      purpose: oneTimeToken.purpose,
+      username: oneTimeToken.username,
+      data: JSON.stringify(oneTimeToken.data === undefined ? null : oneTimeToken.data),
+      expirationDate: oneTimeToken.expirationDate
+    });
+  }
+
+  async getOneTimeToken (tokenHash) {
+    let oneTimeToken = await this.OneTimeToken.findOne({
+      attributes: ['tokenHash', 'purpose', 'username', 'data', 'expirationDate'],
+      where: {tokenHash: tokenHash}
+    });
+    if (!oneTimeToken) {
+      return null;
+    }
+    oneTimeToken = oneTimeToken.get();
+    oneTimeToken.data = JSON.parse(oneTimeToken.data);
+    oneTimeToken.expirationDate = Number(oneTimeToken.expirationDate);
+    return oneTimeToken;
+  }
+
+  /**
+   * Delete a single-use token once it's been used.
+   * Returns false if the token had already been used
+   */
+  async consumeOneTimeToken (tokenHash) {
+    let affectedRows = await this.OneTimeToken.destroy({
+      where: {tokenHash: tokenHash}
+    });
+    return affectedRows > 0;
+  }
+
+  /**
+   * Delete all the single-use tokens issued to a user for the given purpose
+   */
+  async deleteUserOneTimeTokens (username, purpose) {
+    await this.OneTimeToken.destroy({
+      where: {
+        username: username,
+        purpose: purpose
+      }
+    });
+  }
+
+  async deleteExpiredOneTimeTokens () {
+    await this.OneTimeToken.destroy({
+      where: {
+        expirationDate: {[Sequelize.Op.lt]: Math.floor(Date.now() / 1000)}
+      }
+    });
+  }
+
+  /**
+   * Store an audit record (see AuditLog.record)
+   */
+  async addAuditRecord (record) {
+    await this.AuditRecord.create({
+      date: record.date,
+      action: record.action,
+      actor: record.actor,
+      target: record.target,
+      ip: record.ip,
+      success: record.success,
+      changes: JSON.stringify(record.changes)
+    });
+  }
+
+  /**
+   * Delete the audit records older than the given date (UNIX time)
+   */
+  async deleteExpiredAuditRecords (date) {
+    await this.AuditRecord.destroy({
+      where: {
+        date: {[Sequelize.Op.lt]: date}
+      }
+    });
+  }
+
+  /**
+   * Return the audit records matching the given filters, most recent first
+   * (see AuditLog.query)
+   */
+  async getAuditRecords (filters) {
+    let where = {};
+    if (filters.user) {
+      where[Sequelize.Op.or] = [{actor: filters.user}, {target: filters.user}];
+    }
+    if (filters.action) {
+      where.action = filters.action;
+    }
+    if (filters.since || filters.until) {
+      where.date = {};
+      if (filters.since) {
+        where.date[Sequelize.Op.gte] = filters.since;
+      }
+      if (filters.until) {
+        where.date[Sequelize.Op.lte] = filters.until;
       }
+    }
+    let records = await this.AuditRecord.findAll({
+      attributes: ['id', 'date', 'action', 'actor', 'target', 'ip', 'success', 'changes'],
+      where: where,
+      order: [['id', 'DESC']],
+      limit: filters.limit,
+      offset: filters.offset
+    });
+    return records.map((record) => {
+      record = record.get();
+      record.id = Number(record.id);
+      record.date = Number(record.date);
+      record.success = Boolean(record.success);
+      record.changes = JSON.parse(record.changes);
+      return record;
     });
   }
 }
@@ -0,0 +1,273 @@
+var PasswordHandler = require('./PasswordHandler');
+var csv = require('./csv');
+
+// fields of the user records handled by importUsers and exportUsers
+let userRecordFields = ['username', 'password', 'passwordHash', 'email',
+  'emailVerified', 'firstName', 'lastName', 'status', 'groups', 'attributes'];
+
+/**
+ * Import and export of users in bulk (e.g. to onboard a team or to move
+ * users to another db), as JSON records or CSV.
+ * It only needs the auth db, so the admin commands can use it without
+ * running a server.
+ */
+class UserRecords {
+  /**
+   * @param authDB auth db users are imported into and exported from
+   * @param options object containing the following fields:
+   * - attributeSchema: custom attributes of user profiles (see
+   *   AttributeSchema)
+   * - passwordPolicy: rules imported passwords have to satisfy (see
+   *   PasswordPolicy)
+   * - passwordHashing: options passed to PasswordHandler.hashPassword
+   * - revokeUserTokens: function revoking the tokens of a user, called when
+   *   the password of an existing user is changed
+   */
+  constructor (authDB, options) {
+    this.authDB = authDB;
+    this.attributeSchema = options.attributeSchema;
+    this.passwordPolicy = options.passwordPolicy;
+    this.passwordHashing = options.passwordHashing;
+    this.revokeUserTokens = options.revokeUserTokens;
+  }
+
+  /**
+   * Create or update users in bulk.
+   * Every record is validated before anything is changed: if any of them is
+   * invalid, no user is imported. The changes are applied by
+   * authDB.importUsers, atomically for SQL dbs.
+   * Returns a report, an object containing the fields success, dryRun,
+   * created and updated (usernames of the users that are, or would be,
+   * created and updated) and errors (array of objects containing the fields
+   * index, username and message)
+   * @param users array of objects containing the field username and,
+   *   optionally, password (which must satisfy the password policy) or
+   *   passwordHash (generated by PasswordHandler, e.g. exported from another
+   *   db), email, emailVerified, firstName, lastName, status (active or
+   *   pending), groups (replacing the current ones, missing groups are
+   *   created) and attributes (see AttributeSchema). New users need a
+   *   password or a passwordHash, missing fields of existing users are left
+   *   alone
+   * @param options object containing the following (optional) fields:
+   * - dryRun: only validate the records, without changing anything
+   *   (defaults to false)
+   * - maxPasswords: how many records can contain a password (defaults to no
+   *   limit)
+   */
+  async importUsers (users, options = {}) {
+    let report = {
+      success: true,
+      dryRun: Boolean(options.dryRun),
+      created: [],
+      updated: [],
+      errors: []
+    };
+    if (!Array.isArray(users)) {
+      report.success = false;
+      report.errors.push({
+        index: null,
+        username: null,
+        message: 'Users must be an array'
+      });
+      return report;
+    }
+    let passwordCount = users.filter((user) => user && typeof user === 'object' &&
+      'password' in user).length;
+    if (options.maxPasswords && passwordCount > options.maxPasswords) {
+      report.success = false;
+      report.errors.push({
+        index: null,
+        username: null,
+        message: 'At most ' + options.maxPasswords + ' users with a password ' +
+          'can be imported at once (use passwordHash for the others)'
+      });
+      return report;
+    }
+    let usernames = new Set();
+    for (let index = 0; index < users.length; index++) {
+      let user = users[index];
+      let username = user && typeof user.username === 'string' ? user.username : null;
+      let fail = (message) => report.errors.push({
+        index: index,
+        username: username,
+        message: message
+      });
+      if (typeof user !== 'object' || user === null || Array.isArray(user)) {
+        fail('User must be an object');
+        continue;
+      }
+      if (!username) {
+        fail('Missing username');
+        continue;
+      }
+      // names of the properties every object has (e.g. __proto__) can't be
+      // used as keys of plain objects
+      if (username in Object.prototype) {
+        fail('Reserved username');
+        continue;
+      }
+      if (usernames.has(username)) {
+        fail('Duplicate username');
+        continue;
+      }
+      usernames.add(username);
+      let exists = await this.authDB.hasUser(username);
+      for (let field in user) {
+        if (userRecordFields.indexOf(field) < 0) {
+          fail('Unknown field: ' + field);
+        }
+      }
+      for (let field of ['email', 'firstName', 'lastName']) {
+        if (field in user && typeof user[field] !== 'string') {
+          fail(field + ' must be a string');
+        }
+      }
+      if ('emailVerified' in user && typeof user.emailVerified !== 'boolean') {
+        fail('emailVerified must be a boolean');
+      }
+      if ('status' in user && ['active', 'pending'].indexOf(user.status) < 0) {
+        fail('status must be one of active, pending');
+      }
+      if ('groups' in user && !(Array.isArray(user.groups) &&
+          user.groups.every((group) => typeof group === 'string' && group))) {
+        fail('groups must be an array of group names');
+      } else if ('groups' in user && user.groups.some((group) => group in Object.prototype)) {
+        fail('groups must not contain reserved group names');
+      }
+      if ('password' in user && 'passwordHash' in user) {
+        fail('password and passwordHash can\'t be both provided');
+      } else if ('password' in user) {
+        for (let failedRule of await this.passwordPolicy.validate(username, user.password)) {
+          fail(failedRule.message);
+        }
+      } else if ('passwordHash' in user) {
+        if (!PasswordHandler.isHash(user.passwordHash)) {
+          fail('passwordHash is not a valid password hash');
+        }
+      } else if (!exists) {
+        fail('New users need a password or a passwordHash');
+      }
+      let failedAttributes = this.attributeSchema.validate(user.attributes || {},
+        {admin: true, create: !exists});
+      for (let failedAttribute of failedAttributes) {
+        fail(failedAttribute.attribute
+          ? 'Attribute ' + failedAttribute.attribute + ': ' + failedAttribute.message
+          : failedAttribute.message);
+      }
+      (exists ? report.updated : report.created).push(username);
+    }
+    if (report.errors.length > 0) {
+      report.success = false;
+      return report;
+    }
+    if (report.dryRun) {
+      return report;
+    }
+    // passwords are hashed here, so that the db only deals with hashes
+    let records = [];
+    for (let user of users) {
+      let record = Object.assign({}, user);
+      delete record.password;
+      if ('password' in user) {
+        record.passwordHash = await PasswordHandler.hashPassword(user.password,
+          this.passwordHashing);
+      }
+      records.push(record);
+    }
+    let result = await this.authDB.importUsers(records);
+    report.created = result.created;
+    report.updated = result.updated;
+    for (let [index, user] of users.entries()) {
+      if ('password' in user) {
+        await this.passwordPolicy.recordPasswordHash(user.username,
+          records[index].passwordHash);
+      }
+      // existing sessions shouldn't survive a password change
+      if (('password' in user || 'passwordHash' in user) &&
+          result.updated.indexOf(user.username) >= 0) {
+        await this.revokeUserTokens(user.username);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Return every user as a record accepted by importUsers, sorted by
+   * username
+   * @param options object containing the following (optional) fields:
+   * - passwordHashes: whether to include the password hashes, e.g. to move
+   *   users to another db (defaults to false)
+   */
+  async exportUsers (options = {}) {
+    let users = await this.authDB.exportUsers();
+    for (let user of users) {
+      user.attributes = this.attributeSchema.filter(user.attributes);
+      if (!options.passwordHashes) {
+        delete user.passwordHash;
+      }
+    }
+    return users;
+  }
+
+  /**
+   * Turn CSV text into user records (see importUsers).
+   * The first row contains the names of the columns: the fields of the
+   * records, with groups separated by semicolons, and attributes.<name> for
+   * each attribute. Empty cells are left out, so they don't change anything.
+   * Cells escaped by formatCSV are unescaped
+   * @param text
+   */
+  parseCSV (text) {
+    let rows = csv.parse(text);
+    if (rows.length === 0) {
+      return [];
+    }
+    let columns = rows[0];
+    return rows.slice(1).map((row) => {
+      let user = {};
+      columns.forEach((column, i) => {
+        let value = row[i];
+        if (typeof value === 'undefined' || value === '') {
+          return;
+        }
+        value = csv.unescapeFormula(value);
+        if (column.startsWith('attributes.')) {
+          let name = column.substr('attributes.'.length);
+          user.attributes = user.attributes || {};
+          user.attributes[name] = this.attributeSchema.parseValue(name, value);
+        } else if (column === 'groups') {
+          user.groups = value.split(';')
+            .map((group) => group.trim())
+            .filter((group) => group.length > 0);
+        } else if (column === 'emailVerified') {
+          user.emailVerified = value === 'true' ? true : value === 'false' ? false : value;
+        } else {
+          user[column] = value;
+        }
+      });
+      return user;
+    });
+  }
+
+  /**
+   * Turn user records (see exportUsers) into CSV text (see
+   * parseCSV). Cells that spreadsheets would take for formulas are
+   * escaped (see csv.escapeFormula)
+   * @param users
+   */
+  formatCSV (users) {
+    let columns = ['username', 'passwordHash', 'email', 'emailVerified',
+      'firstName', 'lastName', 'status', 'groups']
+      .filter((column) => users.some((user) => column in user));
+    let attributes = Array.from(new Set([].concat(...users
+      .map((user) => Object.keys(user.attributes || {}))))).sort();
+    return csv.stringify([columns.concat(attributes.map((name) => 'attributes.' + name))]
+      .concat(users.map((user) => columns
+        .map((column) => column === 'groups' ? user.groups.join(';') : user[column])
+        .concat(attributes.map((name) => (user.attributes || {})[name]))
+        .map(csv.escapeFormula))));
+  }
+
+}
+
+module.exports = UserRecords;
@@ -0,0 +1,94 @@
+/**
+ * Parse CSV text (RFC 4180: fields containing commas, quotes or line breaks
+ * are enclosed in double quotes, which are escaped by doubling them).
+ * Returns an array of rows, each one being an array of strings. Empty lines
+ * are skipped
+ * @param text
+ */
+function parse (text) {
+  let rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // whether the current field started with a quote
+  let wasQuoted = false;
+  let endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '' || wasQuoted) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+    wasQuoted = false;
+  };
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+      wasQuoted = false;
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  endRow();
+  return rows;
+}
+exports.parse = parse;
+
+/**
+ * Turn an array of rows (arrays of values) into CSV text, quoting the fields
+ * that need it
+ * @param rows
+ */
+function stringify (rows) {
+  return rows.map((row) => row.map((value) => {
+    value = value === null || typeof value === 'undefined' ? '' : String(value);
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  }).join(',') + '\r\n').join('');
+}
+exports.stringify = stringify;
+
+/**
+ * Escape a value that a spreadsheet would take for a formula (i.e. starting
+ * with =, +, -, @, a tab or a carriage return) by prefixing it with a single
+ * quote. Values already starting with a single quote are prefixed too, so
+ * that unescapeFormula can tell them apart
+ * @param value
+ */
+function escapeFormula (value) {
+  if (value === null || typeof value === 'undefined') {
+    return value;
+  }
+  value = String(value);
+  return /^[=+\-@\t\r']/.test(value) ? "'" + value : value;
+}
+exports.escapeFormula = escapeFormula;
+
+/**
+ * Undo escapeFormula: the leading single quote is only dropped if it's
+ * followed by a character escapeFormula escapes, so that other values
+ * starting with a single quote (e.g. written by hand) are left alone
+ * @param value
+ */
+function unescapeFormula (value) {
+  return /^'[=+\-@\t\r']/.test(value) ? value.substr(1) : value;
+}
+exports.unescapeFormula = unescapeFormula;
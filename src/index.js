@@ -2,7 +2,19 @@ var express = require('express');
 var bodyParser = require('body-parser');
 var FileAuthDB = require('./FileAuthDB');
 var SQLAuthDB = require('./SQLAuthDB');
+var LDAPAuthDB = require('./LDAPAuthDB');
+var MemoryAuthDB = require('./MemoryAuthDB');
 var jwt = require('./jwt');
+var OpaqueToken = require('./OpaqueToken');
+var Keyring = require('./Keyring');
+var LoginThrottle = require('./LoginThrottle');
+var PasswordPolicy = require('./PasswordPolicy');
+var AttributeSchema = require('./AttributeSchema');
+var AuditLog = require('./AuditLog');
+var UserRecords = require('./UserRecords');
+var oauth = require('./oauth');
+var totp = require('./totp');
+var mailers = require('./mailers');
 
 /**
  * Wrap a function returning a promise (such as async functions)
@@ -10,19 +22,233 @@ var jwt = require('./jwt');
  */
 let wrapAsync = fn => (...args) => fn(...args).catch(args[2]);
 
-let jwtVerifyOptions = {
-  algorithms: 'HS256'
-};
+/**
+ * Reject a request made by a client that has failed to authenticate (or has
+ * made the same kind of request) too many times
+ * @param res the response
+ * @param retryAfter how long (in seconds) the client has to wait
+ * @param message (optional)
+ */
+function sendTooManyAttempts (res, retryAfter, message = 'Too many failed attempts') {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: message,
+    retryAfter: retryAfter
+  });
+}
+
+/**
+ * Reject a request setting a password that doesn't satisfy the password
+ * policy
+ * @param res the response
+ * @param failedRules rules the password doesn't satisfy (as returned by
+ * PasswordPolicy.validate)
+ */
+function sendPasswordPolicyViolation (res, failedRules) {
+  res.status(400).json({
+    success: false,
+    message: 'Password does not satisfy the password policy',
+    failedRules: failedRules
+  });
+}
+
+/**
+ * Instantiate the db backend described by the config
+ * @param config
+ * @param logger logger used by the dbs that report problems (optional)
+ */
+function createAuthDB (config, logger) {
+  if (config.dbType === 'ldap') {
+    // the local db is described by the ldap.localDB config (using the same
+    // fields as the main config, e.g. dbType and storage)
+    let localConfig = Object.assign({}, config, {
+      dbType: 'sqlite',
+      storage: 'authdb.sqlite',
+      dbURI: undefined
+    }, (config.ldap || {}).localDB);
+    return new LDAPAuthDB(config.ldap, createAuthDB(localConfig, logger));
+  }
+  if (config.dbURI) {
+    return new SQLAuthDB(config);
+  }
+  switch (String(config.dbType)) {
+    case 'sqlite':
+    case 'mysql':
+    case 'mariadb':
+    case 'postgresql':
+      return new SQLAuthDB(config);
+    case (String('file')):
+      return new FileAuthDB(config, logger);
+    case 'memory':
+      return new MemoryAuthDB(config, logger);
+    default:
+      return new SQLAuthDB({
+        dbType: 'sqlite',
+        storage: 'authdb.sqlite'
+      });
+  }
+}
+
+/**
+ * Respond to a request trying to write user attributes that don't satisfy
+ * the attribute schema
+ */
+function sendAttributeViolation (res, failedAttributes) {
+  res.status(400).json({
+    success: false,
+    message: 'Attributes do not satisfy the attribute schema',
+    failedAttributes: failedAttributes
+  });
+}
+
+// how long (in seconds) an OAuth 2.0 authorization code can be exchanged for
+// tokens
+let authorizationCodeLifetime = 60;
+
+// how long (in seconds) a user has to provide a TOTP code after having
+// provided valid credentials
+let mfaChallengeLifetime = 5 * 60;
+
+// how long (in seconds) a user who is required to enable two-factor
+// authentication has to enroll after having provided valid credentials
+let mfaEnrollmentLifetime = 15 * 60;
+
+// number of recovery codes generated when enabling two-factor authentication
+let recoveryCodeCount = 10;
+
+// how big a list of users being imported can be
+let importSizeLimit = '10mb';
+
+// how many users with a (plain text) password can be imported by a single
+// request: hashing passwords is deliberately slow
+let importPasswordLimit = 100;
+
+// key resolvers for JWKS URLs, shared by all the middlewares using the same URL
+let jwksKeyResolvers = {};
+
+/**
+ * Return whoever a decoded token has been issued to: the username of a user
+ * or the client id of a service account (which have no username claim).
+ * Tokens issued to OAuth clients only carry the username in the standard sub
+ * claim
+ * @param decodedToken
+ */
+function getTokenSubject (decodedToken) {
+  if (decodedToken.serviceAccount) {
+    return decodedToken.clientId;
+  }
+  return decodedToken.aud ? decodedToken.sub : decodedToken.username;
+}
+
+/**
+ * Decode the token found in the Authorization header of a request and, if an
+ * auth db is available, make sure it hasn't been revoked
+ * @param req the request
+ * @param jwtSecret secret or PEM encoded public key used to verify the token
+ * @param options object containing the following (optional) fields:
+ * - authDB: auth db used to check whether the token has been revoked
+ * - jwksUri: URL of a JWKS to fetch the keys from (jwtSecret is ignored)
+ * - algorithms: accepted algorithms (by default they are chosen based on the
+ *   key type)
+ * - ignoreExpiration: accept expired tokens too
+ * - audience: client id tokens issued to an OAuth client (i.e. with an aud
+ *   claim) must be meant for, or true to accept the ones meant for any
+ *   client (by default only tokens without an aud claim are accepted)
+ */
+async function verifyRequestToken (req, jwtSecret, options = {}) {
+  let key = jwtSecret;
+  if (options.jwksUri) {
+    if (!(options.jwksUri in jwksKeyResolvers)) {
+      jwksKeyResolvers[options.jwksUri] = jwt.createJWKSKeyResolver(options.jwksUri);
+    }
+    key = jwksKeyResolvers[options.jwksUri];
+  }
+  let decodedToken = await jwt.decodeTokenHeader(req, key, {
+    algorithms: options.algorithms || jwt.getVerificationAlgorithms(key),
+    ignoreExpiration: !!options.ignoreExpiration
+  });
+  // tokens that are not access tokens (e.g. OpenID Connect ID tokens) are
+  // signed with the same keys, but they can't be used to make requests
+  if ((decodedToken.tokenType || 'access') !== 'access') {
+    throw new Error('Unexpected token type');
+  }
+  // tokens issued to OAuth clients only contain the claims of the scopes
+  // granted to the client, and are only meant for it
+  if (decodedToken.aud && options.audience !== true &&
+      decodedToken.aud !== options.audience) {
+    throw new Error('Token meant for another audience');
+  }
+  if (options.authDB && await options.authDB.isTokenRevoked(decodedToken.jti,
+    getTokenSubject(decodedToken), decodedToken.iat)) {
+    throw new Error('Revoked token');
+  }
+  return decodedToken;
+}
 
 class SaintPeter {
   /**
    * @param config an object containing the following fields:
-   * - dbType: one of mariadb, sqlite, file
+   * - dbType: one of mariadb, sqlite, file, memory, ldap
+   * - seed: users and groups a memory db is populated with (see
+   *   MemoryAuthDB)
+   * - ldap: options of the LDAP directory (see LDAPAuthDB) if dbType is
+   *   ldap, along with localDB: config of the local db everything but
+   *   directory users is stored in (e.g. {dbType: 'sqlite', storage: ...})
    * - defaultUsername: user created if auth db is empty
    * - defaultPassword: password assigned to the default user
    * - defaultGroup: group assigned to the default user
    * - tokenLifetime: validity period of generated tokens
    * - tokenIdleTimeout: how long after a token has expired it can be renewed
+   * - legacyTokenRenewal: whether GET /renew-token exchanges a (possibly
+   *   expired) access token for a new one, for clients that predate refresh
+   *   tokens (defaults to false)
+   * - jwtSecret: secret used to sign tokens (HS256)
+   * - jwtPrivateKey: PEM encoded RSA or EC private key used to sign tokens
+   *   (takes precedence over jwtSecret)
+   * - jwtPublicKey: PEM encoded public key (derived from jwtPrivateKey if
+   *   missing)
+   * - jwtAlgorithm: one of HS256, RS256, ES256 (inferred from the key if
+   *   missing)
+   * - keyringRefreshInterval: how often (in seconds) signing keys are reloaded
+   *   from the db (so that rotations made by other instances are picked up)
+   * - mfaRequiredGroups: users belonging to these groups must enable
+   *   two-factor authentication before they can obtain tokens
+   * - tokenGroups: which groups the groups claim of tokens contains, either
+   *   'effective' (the groups users belong to directly or through nested
+   *   groups) or 'direct' (defaults to 'effective')
+   * - totpIssuer: name shown by authenticator apps next to the username
+   * - loginThrottling: options of the protection against password guessing
+   *   (see LoginThrottle), or false to disable it
+   * - passwordPolicy: rules new passwords have to satisfy (see
+   *   PasswordPolicy)
+   * - passwordHashing: options used to hash passwords (see PasswordHandler)
+   * - userAttributes: custom attributes of user profiles (see
+   *   AttributeSchema)
+   * - mailer: options of the mailer used to send emails to users (see
+   *   mailers.createMailer), or a custom mailer
+   * - passwordResetURL: URL of the page where users choose a new password
+   *   (the reset token is appended as the token query parameter)
+   * - passwordResetTokenLifetime: validity period of password reset tokens
+   * - emailVerificationURL: URL of the page where users confirm their email
+   *   (the verification token is appended as the token query parameter)
+   * - emailVerificationTokenLifetime: validity period of email verification
+   *   tokens
+   * - registration: options of the self-service registration through
+   *   /register (disabled unless provided), an object containing the
+   *   following (optional) fields:
+   *   - mode: one of open (anyone can register), invite (an invite code
+   *     created by an admin is needed), domain (the email must belong to one
+   *     of allowedEmailDomains). Defaults to open
+   *   - allowedEmailDomains: email domains allowed to register in domain mode
+   *   - defaultGroup: group new users are added to
+   *   - requireApproval: whether new users can only log in once an admin has
+   *     approved them (defaults to false)
+   *   - inviteLifetime: validity period of invite codes (defaults to 7 days)
+   *   - verifyRequest: function taking the request and returning a promise
+   *     resolving to whether it may proceed (e.g. after checking a CAPTCHA)
+   * - auditLog: options of the audit log (see AuditLog), or false to disable
+   *   it
    * @param logger a logger that should provide the methods info and error.
    * Defaults to console
    */
@@ -33,10 +259,15 @@ class SaintPeter {
     } else {
       this.logger = console;
     }
-    // jwtSecret is mandatory (we don't want to provide a default one)
-    if (!this.config.jwtSecret) {
-      throw new Error('No jwtSecret provided');
-    }
+    // either jwtSecret or jwtPrivateKey is mandatory (we don't want to
+    // provide a default one)
+    let jwtKey = jwt.loadSigningKey({
+      secret: this.config.jwtSecret,
+      privateKey: this.config.jwtPrivateKey,
+      publicKey: this.config.jwtPublicKey,
+      algorithm: this.config.jwtAlgorithm
+    });
+    this.config.jwtAlgorithm = jwtKey.algorithm;
     if (!this.config.dbURI && !this.config.dbType) {
       throw new Error('No db provided');
     }
@@ -63,28 +294,82 @@ class SaintPeter {
     if (typeof this.config.issuer === 'undefined') {
       this.config.issuer = '';
     }
+    if (typeof this.config.mfaRequiredGroups === 'undefined') {
+      this.config.mfaRequiredGroups = [];
+    }
+    if (typeof this.config.tokenGroups === 'undefined') {
+      this.config.tokenGroups = 'effective';
+    } else if (['effective', 'direct'].indexOf(this.config.tokenGroups) < 0) {
+      throw new Error('Unknown tokenGroups: ' + this.config.tokenGroups);
+    }
+    if (typeof this.config.totpIssuer === 'undefined') {
+      this.config.totpIssuer = 'saint-peter';
+    }
+    if (typeof this.config.passwordResetTokenLifetime === 'undefined') {
+      this.config.passwordResetTokenLifetime = 60 * 60;
+    } else {
+      this.config.passwordResetTokenLifetime = Number(this.config.passwordResetTokenLifetime);
+    }
+    if (typeof this.config.emailVerificationTokenLifetime === 'undefined') {
+      this.config.emailVerificationTokenLifetime = 24 * 60 * 60;
+    } else {
+      this.config.emailVerificationTokenLifetime = Number(this.config.emailVerificationTokenLifetime);
+    }
+    if (this.config.registration) {
+      this.config.registration = Object.assign({
+        mode: 'open',
+        allowedEmailDomains: [],
+        defaultGroup: null,
+        requireApproval: false,
+        inviteLifetime: 7 * 24 * 60 * 60
+      }, this.config.registration === true ? {} : this.config.registration);
+      if (['open', 'invite', 'domain'].indexOf(this.config.registration.mode) < 0) {
+        throw new Error('Unknown registration mode: ' + this.config.registration.mode);
+      }
+      if (this.config.registration.mode === 'domain' && !this.config.mailer) {
+        throw new Error('Registration in domain mode needs a mailer to ' +
+          'verify emails');
+      }
+    }
 
     // instantiate the db backend
-    if (this.config.dbURI) {
-      this.authDB = new SQLAuthDB(this.config);
-    } else if (this.config.dbType) {
-      switch (String(this.config.dbType)) {
-        case 'sqlite':
-        case 'mysql':
-        case 'mariadb':
-        case 'postgresql':
-          this.authDB = new SQLAuthDB(this.config);
-          break;
-        case (String('file')):
-          this.authDB = new FileAuthDB(this.config);
-          break;
-        default:
-          this.authDB = new SQLAuthDB({
-            dbType: 'sqlite',
-            storage: 'authdb.sqlite'
-          });
-      }
+    this.authDB = createAuthDB(this.config, this.logger);
+
+    // tokens signed with a retired key are valid until they expire, so
+    // retired keys need to be kept for tokenLifetime seconds
+    this.keyring = new Keyring(this.authDB, jwtKey, {
+      retiredKeyLifetime: this.config.tokenLifetime,
+      refreshInterval: this.config.keyringRefreshInterval
+    });
+    // used by our own middlewares to pick the right key to verify tokens
+    this.jwtVerificationKey = this.keyring.keyResolver();
+    if (this.config.loginThrottling !== false) {
+      this.loginThrottle = new LoginThrottle(this.authDB, this.config.loginThrottling);
+      // password reset requests have their own counters, so that they
+      // don't affect logins
+      this.passwordResetThrottle = new LoginThrottle(this.authDB,
+        Object.assign({}, this.config.loginThrottling, {keyPrefix: 'password-reset:'}));
+    } else {
+      this.loginThrottle = null;
+      this.passwordResetThrottle = null;
+    }
+    this.passwordPolicy = new PasswordPolicy(this.authDB, this.config.passwordPolicy,
+      this.config.passwordHashing);
+    this.attributeSchema = new AttributeSchema(this.config.userAttributes);
+    this.userRecords = new UserRecords(this.authDB, {
+      attributeSchema: this.attributeSchema,
+      passwordPolicy: this.passwordPolicy,
+      passwordHashing: this.config.passwordHashing,
+      revokeUserTokens: (username) => this.revokeAllUserTokens(username)
+    });
+    if (this.config.auditLog !== false) {
+      this.auditLog = new AuditLog(this.authDB, this.config.auditLog, this.logger);
+    } else {
+      this.auditLog = null;
     }
+    // without a mailer the features relying on emails are disabled
+    this.mailer = this.config.mailer
+      ? mailers.createMailer(this.config.mailer, this.logger) : null;
   }
 
   /**
@@ -94,30 +379,116 @@ class SaintPeter {
    */
   async initializeDB () {
     // Create tables if they don't exist
-    this.authDB.initialize();
-    // Create default user if none exist
-    let defaultUsername = this.config.defaultUsername;
-    let defaultPassword = this.config.defaultPassword;
-    let defaultGroup = this.config.defaultGroup;
-    let users = await this.authDB.getUsers();
-    if (users.length <= 0) {
-      this.logger.info('Creating default user \'' + defaultUsername +
-        '\' with password \'' + defaultPassword + '\'');
-      await this.authDB.addUser(defaultUsername, defaultPassword);
-      let groups = await this.authDB.getGroups();
-      if (groups.indexOf(defaultGroup) < 0) {
-        this.logger.info('Creating default group \'' + defaultGroup + '\'');
-        await this.authDB.addGroup(defaultGroup);
-      }
-      this.logger.info('Adding user \'' + defaultUsername + '\' to group \'' +
-        defaultGroup + '\'');
-      await this.authDB.addUserToGroup(defaultUsername, defaultGroup);
+    await this.authDB.initialize();
+    await this.keyring.load();
+    await SaintPeter.addDefaultUser(this.authDB, this.config, this.logger);
+  }
+
+  /**
+   * Create the auth db described by a config (see the constructor), e.g. to
+   * manage users without running a server
+   * @param config
+   * @param logger (optional, defaults to console)
+   */
+  static createAuthDB (config, logger) {
+    return createAuthDB(config, logger);
+  }
+
+  /**
+   * Create the default user if there are no users in an (initialized) auth
+   * db (see initializeDB).
+   * Returns whether the default user has been created
+   * @param authDB
+   * @param config object containing the fields defaultUsername,
+   *   defaultPassword and defaultGroup
+   * @param logger
+   */
+  static async addDefaultUser (authDB, config, logger) {
+    let defaultUsername = config.defaultUsername;
+    let defaultPassword = config.defaultPassword;
+    let defaultGroup = config.defaultGroup;
+    let usernames = await authDB.getUsernames();
+    if (usernames.length > 0) {
+      return false;
+    }
+    logger.info('Creating default user \'' + defaultUsername +
+      '\' with password \'' + defaultPassword + '\'');
+    await authDB.addUser(defaultUsername, defaultPassword);
+    let groups = await authDB.getGroups();
+    if (groups.indexOf(defaultGroup) < 0) {
+      logger.info('Creating default group \'' + defaultGroup + '\'');
+      await authDB.addGroup(defaultGroup);
+    }
+    logger.info('Adding user \'' + defaultUsername + '\' to group \'' +
+      defaultGroup + '\'');
+    await authDB.addUserToGroup(defaultUsername, defaultGroup);
+    return true;
+  }
+
+  /**
+   * Record an event in the audit log (see AuditLog.record), if enabled
+   * @param req the request that caused the event
+   * @param action
+   * @param event object containing the (optional) fields target, success,
+   * before, after and actor. The actor defaults to the user the token used to
+   * make the request was issued to
+   */
+  async auditEvent (req, action, event = {}) {
+    if (!this.auditLog) {
+      return;
+    }
+    let actor = event.actor;
+    if (typeof actor === 'undefined') {
+      actor = await verifyRequestToken(req, this.jwtVerificationKey,
+        this.middlewareOptions()).then(getTokenSubject, () => null);
+    }
+    await this.auditLog.record(Object.assign({}, event, {
+      action: action,
+      actor: actor,
+      ip: req.ip
+    }));
+  }
+
+  /**
+   * Record a login attempt in the audit log
+   */
+  async auditLogin (req, username, success) {
+    await this.auditEvent(req, 'login', {
+      actor: username,
+      target: username,
+      success: success
+    });
+  }
+
+  /**
+   * Snapshot of the fields of a user recorded in the audit log (null if the
+   * user doesn't exist)
+   */
+  async getUserSnapshot (username) {
+    let user;
+    try {
+      user = await this.authDB.getUser(username);
+    } catch (e) {
+      return null;
     }
+    let enrollment = await this.authDB.getTOTP(username);
+    return {
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      groups: user.groups.slice().sort(),
+      status: user.status,
+      attributes: user.attributes,
+      totpEnabled: Boolean(enrollment && enrollment.enabled)
+    };
   }
 
   authenticate () {
     let router = express.Router();
     router.post('/', bodyParser.json(), this.authenticateParsedRequest());
+    router.post('/mfa', bodyParser.json(), this.authenticateMFAParsedRequest());
     return router;
   }
 
@@ -125,400 +496,2828 @@ class SaintPeter {
     return wrapAsync(async (req, res) => {
       let username = req.body.username;
       let password = req.body.password;
-      try {
-        let success = await this.authDB.authenticateUser(username, password);
-        if (!success) {
-          // invalid username or password. all other errors should throw
-          // an exception and are catched by the next block
-          res.status(401).json({
-            success: false
-          });
-          return;
-        }
-      } catch (e) {
-        // some error occurred while authenticating the user
-        this.logger.error(e.message);
+      let result = await this.checkPassword(username, password, req.ip);
+      if (!result.success) {
+        await this.auditLogin(req, username, false);
+      }
+      if (result.retryAfter) {
+        return sendTooManyAttempts(res, result.retryAfter);
+      }
+      if (result.pending) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account pending approval'
+        });
+      }
+      if (!result.success) {
         return res.status(401).json({
           success: false
         });
       }
 
-      let user = await this.authDB.getUser(username);
-      let expirationDate = Math.floor(Date.now() / 1000) +
-        this.config.tokenLifetime;
-      let renewalExpirationDate = expirationDate +
-        this.config.tokenIdleTimeout;
-      let token = await jwt.encodeToken({
-        exp: expirationDate,
-        renewalExpirationDate: renewalExpirationDate,
-        username: username,
-        groups: user.groups,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        id: user.id,
-        iss: this.config.issuer
-      }, this.config.jwtSecret, {algorithm: 'HS256'});
-      res.json({
-        success: true,
-        token: token,
-        username: username,
-        groups: user.groups,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        id: user.id,
-        tokenExpirationDate: expirationDate
-      });
+      // users with two-factor authentication get a challenge instead
+      let challenge = await this.createMFAChallenge(username);
+      if (challenge) {
+        return res.json(challenge);
+      }
+      await this.auditLogin(req, username, true);
+      res.json(await this.issueTokens(username));
+    });
+  }
+
+  /**
+   * Second step of the authentication of users with two-factor
+   * authentication: exchange the challenge obtained from /authenticate, along
+   * with a TOTP code (or a recovery code), for a token
+   */
+  authenticateMFAParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      // each challenge can only be used once, whether the code is valid or
+      // not (otherwise it could be used to guess codes)
+      let username = await this.consumeMFAChallenge(req.body.challenge);
+      if (!username) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge'
+        });
+      }
+      let result = await this.checkSecondFactor(username, req.body, req.ip);
+      await this.auditLogin(req, username, result.success);
+      if (result.retryAfter) {
+        return sendTooManyAttempts(res, result.retryAfter);
+      }
+      if (!result.success) {
+        return res.status(401).json({
+          success: false
+        });
+      }
+      res.json(await this.issueTokens(username));
+    });
+  }
+
+  /**
+   * Check the password of a user, enforcing the login throttling.
+   * Returns an object containing the following fields:
+   * - success: whether the password is valid (and the user can log in)
+   * - retryAfter: if not 0, the client has failed too many times and has to
+   *   wait this many seconds before trying again (the password hasn't been
+   *   checked at all)
+   * - pending: whether the password is valid but the user is still waiting
+   *   for an admin to approve their registration
+   * @param username
+   * @param password
+   * @param ip IP of the client
+   */
+  async checkPassword (username, password, ip) {
+    let retryAfter = this.loginThrottle
+      ? await this.loginThrottle.reserveAttempt(username, ip) : 0;
+    if (retryAfter > 0) {
+      return {success: false, retryAfter: retryAfter};
+    }
+    let success = false;
+    try {
+      success = await this.authDB.authenticateUser(username, password);
+    } catch (e) {
+      // some error occurred while authenticating the user
+      this.logger.error(e.message);
+    }
+    if (this.loginThrottle && success) {
+      await this.loginThrottle.recordSuccess(username, ip);
+    }
+    if (success && (await this.authDB.getUser(username)).status === 'pending') {
+      return {success: false, retryAfter: 0, pending: true};
+    }
+    return {success: success, retryAfter: 0};
+  }
+
+  /**
+   * Check the second factor provided by a user, enforcing the login
+   * throttling (see checkPassword and verifySecondFactor)
+   */
+  async checkSecondFactor (username, credentials, ip) {
+    let retryAfter = this.loginThrottle
+      ? await this.loginThrottle.reserveAttempt(username, ip, 'totp') : 0;
+    if (retryAfter > 0) {
+      return {success: false, retryAfter: retryAfter};
+    }
+    let success = await this.verifySecondFactor(username, credentials);
+    if (this.loginThrottle && success) {
+      await this.loginThrottle.recordSuccess(username, ip, 'totp');
+    }
+    return {success: success, retryAfter: 0};
+  }
+
+  /**
+   * Check whether a user who has provided valid credentials has to go through
+   * two-factor authentication. Returns null if tokens can be issued right
+   * away, or the body of the response to be sent instead, containing a
+   * short-lived challenge:
+   * - users who have enabled TOTP get an 'mfa-challenge' challenge, to be
+   *   posted to /authenticate/mfa along with a code
+   * - users belonging to one of the mfaRequiredGroups who haven't enabled
+   *   TOTP yet get an 'mfa-enrollment' challenge, which can only be used to
+   *   enroll
+   * Challenges are single-use tokens looked up in the auth db rather than
+   * JWTs, so that whoever verifies our access tokens can't mistake them for
+   * one
+   */
+  async createMFAChallenge (username) {
+    let enrollment = await this.authDB.getTOTP(username);
+    let purpose;
+    let lifetime;
+    if (enrollment && enrollment.enabled) {
+      purpose = 'mfa-challenge';
+      lifetime = mfaChallengeLifetime;
+    } else if (await this.isMFARequired(username)) {
+      purpose = 'mfa-enrollment';
+      lifetime = mfaEnrollmentLifetime;
+    } else {
+      return null;
+    }
+    let expirationDate = Math.floor(Date.now() / 1000) + lifetime;
+    let challenge = await this.createOneTimeToken(purpose, username, null, lifetime);
+    return {
+      success: false,
+      mfaRequired: purpose === 'mfa-challenge',
+      mfaEnrollmentRequired: purpose === 'mfa-enrollment',
+      challenge: challenge,
+      challengeExpirationDate: expirationDate
+    };
+  }
+
+  /**
+   * Whether a user belongs to one of the groups that require two-factor
+   * authentication
+   */
+  async isMFARequired (username) {
+    let groups = await this.authDB.getUserGroups(username, true);
+    return groups.some((group) => this.config.mfaRequiredGroups.indexOf(group) >= 0);
+  }
+
+  /**
+   * Consume an 'mfa-challenge' challenge returned by createMFAChallenge.
+   * Returns the username it was issued to, or null if it's not valid, has
+   * expired or has already been used
+   */
+  async consumeMFAChallenge (challenge) {
+    let oneTimeToken = await this.findOneTimeToken(String(challenge || ''),
+      ['mfa-challenge']);
+    if (!oneTimeToken ||
+        !(await this.authDB.consumeOneTimeToken(oneTimeToken.tokenHash))) {
+      return null;
+    }
+    return oneTimeToken.username;
+  }
+
+  /**
+   * Check the second factor provided by a user with two-factor
+   * authentication enabled
+   * @param username
+   * @param credentials object containing either a TOTP code (code) or a
+   * recovery code (recoveryCode)
+   */
+  async verifySecondFactor (username, credentials) {
+    let enrollment = await this.authDB.getTOTP(username);
+    if (!enrollment || !enrollment.enabled) {
+      return false;
+    }
+    if (credentials.code) {
+      let step = totp.verifyCode(enrollment.secret, credentials.code);
+      // each code can only be used once
+      return step !== null && this.authDB.useTOTPStep(username, step);
+    }
+    if (credentials.recoveryCode) {
+      // recovery codes are random, so (like refresh tokens) they're stored
+      // as plain SHA-256 hashes and can be looked up directly
+      let recoveryCode = String(credentials.recoveryCode).trim().toLowerCase();
+      return this.authDB.useRecoveryCode(username,
+        OpaqueToken.hashToken(recoveryCode));
+    }
+    return false;
+  }
+
+  /**
+   * Generate a new access token for the given user, along with a new refresh
+   * token, which is added to the given family (a new family is started if
+   * none is given) and can only be redeemed through /renew-token.
+   * Returns the body of the response to be sent to the client
+   */
+  async issueTokens (username, refreshTokenFamily) {
+    let tokens = await this.issueAccessToken(username);
+    return Object.assign(tokens, await this.issueRefreshToken(username,
+      tokens.tokenExpirationDate, refreshTokenFamily));
+  }
+
+  /**
+   * Generate a new access token for an OAuth client, acting on behalf of the
+   * given user, along with a new refresh token only the client can redeem
+   * (added to the given family, or to a new one).
+   * Unlike the tokens returned by /authenticate, the access token is meant
+   * for the client (aud claim) and only contains the claims of the granted
+   * scopes (see oauth.userClaims): no groups unless the groups scope has
+   * been granted, and no permissions.
+   * Returns an object containing the same fields as issueTokens, along with
+   * scope
+   * @param username
+   * @param clientId
+   * @param scope space separated list of the scopes granted to the client
+   * @param refreshTokenFamily
+   */
+  async issueOAuthTokens (username, clientId, scope, refreshTokenFamily) {
+    let user = await this.authDB.getUser(username);
+    user.groups = await this.getTokenGroups(user.groups);
+    let expirationDate = Math.floor(Date.now() / 1000) +
+      this.config.tokenLifetime;
+    let token = await this.signToken(Object.assign(oauth.userClaims(user, scope), {
+      exp: expirationDate,
+      jti: OpaqueToken.generateToken(16),
+      aud: clientId,
+      scope: scope,
+      iss: this.config.issuer
+    }));
+    return Object.assign({
+      token: token,
+      username: username,
+      scope: scope,
+      tokenExpirationDate: expirationDate
+    }, await this.issueRefreshToken(username, expirationDate,
+      refreshTokenFamily, clientId, scope));
+  }
+
+  /**
+   * Generate a new refresh token for the given user, which can be used until
+   * tokenIdleTimeout seconds after the access token it's issued with has
+   * expired. Returns an object containing the fields refreshToken and
+   * refreshTokenExpirationDate
+   * @param username
+   * @param accessTokenExpirationDate
+   * @param family family the token is added to (a new one if missing)
+   * @param clientId OAuth client that can redeem the token (null if it can
+   *   only be redeemed through /renew-token)
+   * @param scope scopes granted to the OAuth client
+   */
+  async issueRefreshToken (username, accessTokenExpirationDate, family,
+    clientId = null, scope = null) {
+    let refreshToken = OpaqueToken.generateToken();
+    let refreshTokenExpirationDate = accessTokenExpirationDate +
+      this.config.tokenIdleTimeout;
+    await this.authDB.addRefreshToken(OpaqueToken.hashToken(refreshToken),
+      username, family || OpaqueToken.generateToken(16),
+      refreshTokenExpirationDate, clientId, scope);
+    return {
+      refreshToken: refreshToken,
+      refreshTokenExpirationDate: refreshTokenExpirationDate
+    };
+  }
+
+  /**
+   * Generate a new access token for the given user, without a refresh token.
+   * Returns the body of the response to be sent to the client
+   */
+  async issueAccessToken (username) {
+    let user = await this.authDB.getUser(username);
+    let groups = await this.getTokenGroups(user.groups);
+    let permissions = await this.authDB.getGroupPermissions(
+      await this.authDB.expandGroups(user.groups));
+    let attributes = this.attributeSchema.tokenAttributes(user.attributes);
+    let expirationDate = Math.floor(Date.now() / 1000) +
+      this.config.tokenLifetime;
+    let token = await this.signToken({
+      exp: expirationDate,
+      jti: OpaqueToken.generateToken(16),
+      username: username,
+      groups: groups,
+      permissions: permissions,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      attributes: attributes,
+      id: user.id,
+      iss: this.config.issuer
+    });
+
+    return {
+      success: true,
+      token: token,
+      username: username,
+      groups: groups,
+      permissions: permissions,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      attributes: attributes,
+      id: user.id,
+      tokenExpirationDate: expirationDate
+    };
+  }
+
+  /**
+   * Return the groups to be included in the tokens of a user (or service
+   * account) directly belonging to the given ones (see tokenGroups)
+   */
+  async getTokenGroups (groups) {
+    if (this.config.tokenGroups === 'direct') {
+      return groups;
+    }
+    return this.authDB.expandGroups(groups);
+  }
+
+  /**
+   * Sign a token with the current key
+   */
+  async signToken (payload) {
+    let key = await this.keyring.getSigningKey();
+    // iat has millisecond precision (NumericDate allows a fractional part),
+    // so that revoking all the tokens of a user doesn't affect the ones
+    // issued later within the same second (see isTokenRevoked)
+    payload = Object.assign({iat: Date.now() / 1000}, payload);
+    return jwt.encodeToken(payload, key.signingKey, {
+      algorithm: key.algorithm,
+      keyid: key.kid
     });
   }
 
   renewToken () {
     let router = express.Router();
-    router.get('/', bodyParser.json(), this.renewTokenParsedRequest());
+    router.post('/', bodyParser.json(), this.renewTokenParsedRequest());
+    // deprecated: renewal of the access token itself, only for clients that
+    // predate refresh tokens
+    if (this.config.legacyTokenRenewal) {
+      router.get('/', this.renewAccessTokenRequest());
+    }
     return router;
   }
 
-  renewTokenParsedRequest () {
+  /**
+   * Deprecated way of renewing a token, only available with
+   * legacyTokenRenewal: the (possibly expired) access token found in the
+   * Authorization header is exchanged for a new access token (but no refresh
+   * token), provided less than tokenIdleTimeout seconds have passed since it
+   * expired.
+   * Each access token can be renewed only once: it is revoked in the process
+   */
+  renewAccessTokenRequest () {
     return wrapAsync(async (req, res) => {
+      let tokens;
       try {
-        let decodedOldToken = await jwt.decodeTokenHeader(req, this.config.jwtSecret,
-          Object.assign({}, jwtVerifyOptions, {ignoreExpiration: true}));
-        if (decodedOldToken.renewalExpirationDate < (new Date()).getTime() / 1000) {
-          throw new Error('Expired token');
+        let options = this.middlewareOptions();
+        options.ignoreExpiration = true;
+        let decodedToken = await verifyRequestToken(req,
+          this.jwtVerificationKey, options);
+        if (decodedToken.serviceAccount || !decodedToken.jti) {
+          throw new Error('Token can\'t be renewed');
         }
-
-        let username = decodedOldToken.username;
-        // we could get the groups from the token, but we take this chance toupdate them
-        let user = await this.authDB.getUser(username);
-        let expirationDate = Math.floor(Date.now() / 1000) +
-          this.config.tokenLifetime;
-        let renewalExpirationDate = expirationDate +
+        let renewalExpirationDate = decodedToken.exp +
           this.config.tokenIdleTimeout;
-        let token = await jwt.encodeToken({
-          exp: expirationDate,
-          renewalExpirationDate: renewalExpirationDate,
-          username: username,
-          groups: user.groups,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          id: user.id,
-          iss: this.config.issuer
-        }, this.config.jwtSecret, {algorithm: 'HS256'});
-
-        res.json({
-          success: true,
-          token: token,
-          username: username,
-          groups: user.groups,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          id: user.id,
-          tokenExpirationDate: expirationDate
-        });
+        if (renewalExpirationDate < Date.now() / 1000) {
+          throw new Error('Expired token');
+        }
+        if (!(await this.authDB.revokeToken(decodedToken.jti,
+          decodedToken.username, renewalExpirationDate))) {
+          throw new Error('Token already renewed');
+        }
+        this.logger.info('Deprecated GET /renew-token used by user \'' +
+          decodedToken.username + '\': use POST with a refresh token');
+        tokens = await this.issueAccessToken(decodedToken.username);
       } catch (e) {
-        res.status(401).json({
+        await this.auditEvent(req, 'token-renewal', {actor: null, success: false});
+        return res.status(401).json({
           success: false,
-          message: 'Expired token'
+          message: 'Invalid or expired token'
         });
       }
+      await this.auditEvent(req, 'token-renewal', {
+        actor: tokens.username,
+        target: tokens.username
+      });
+      res.json(tokens);
     });
   }
 
   /**
-   *
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Each refresh token can only be used once: if a refresh token that has
+   * already been used is presented again (i.e. it has probably been leaked),
+   * the whole family of tokens obtained from the same authentication is
+   * revoked
    */
-  static requireAuthentication (jwtSecret) {
-    return wrapAsync(async (req, res, next) => {
+  renewTokenParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      let tokens;
       try {
-        await jwt.decodeTokenHeader(req, jwtSecret, jwtVerifyOptions);
-        next();
+        if (!req.body || !req.body.refreshToken) {
+          throw new Error('No refresh token');
+        }
+        tokens = await this.renewTokens(req.body.refreshToken);
       } catch (e) {
-        res.status(403).json({
+        await this.auditEvent(req, 'token-renewal', {actor: null, success: false});
+        return res.status(401).json({
           success: false,
-          message: 'Forbidden'
+          message: 'Invalid or expired refresh token'
         });
       }
+      await this.auditEvent(req, 'token-renewal', {
+        actor: tokens.username,
+        target: tokens.username
+      });
+      res.json(tokens);
     });
   }
 
-  static allowUsers (users, jwtSecret) {
-    return wrapAsync(async (req, res, next) => {
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * (see renewTokenParsedRequest). Throws if the refresh token is not valid
+   * @param refreshTokenString
+   * @param clientId OAuth client redeeming the token (null for /renew-token):
+   *   it must be the one the token has been issued to
+   */
+  async renewTokens (refreshTokenString, clientId = null) {
+    let tokenHash = OpaqueToken.hashToken(refreshTokenString);
+    let refreshToken = await this.authDB.getRefreshToken(tokenHash);
+    if (!refreshToken) {
+      throw new Error('Invalid refresh token');
+    }
+    if ((refreshToken.clientId || null) !== (clientId || null)) {
+      throw new Error('Refresh token issued to another client');
+    }
+    if (refreshToken.expirationDate < Date.now() / 1000) {
+      throw new Error('Expired refresh token');
+    }
+    if (!(await this.authDB.useRefreshToken(tokenHash))) {
+      this.logger.error('Refresh token reused for user \'' +
+        refreshToken.username + '\', revoking its family');
+      await this.authDB.revokeRefreshTokenFamily(refreshToken.family);
+      throw new Error('Refresh token reused');
+    }
+    await this.authDB.deleteExpiredRefreshTokens();
+
+    // we take this chance to update the user details (e.g. groups)
+    if (refreshToken.clientId) {
+      return this.issueOAuthTokens(refreshToken.username, refreshToken.clientId,
+        refreshToken.scope || '', refreshToken.family);
+    }
+    return this.issueTokens(refreshToken.username, refreshToken.family);
+  }
+
+  /**
+   * Revoke the token used to make the request (and, if a refresh token is
+   * provided, the whole family it belongs to)
+   */
+  logout () {
+    let router = express.Router();
+    router.post('/', bodyParser.json(), wrapAsync(async (req, res) => {
+      let decodedToken;
       try {
-        let decodedToken = await jwt.decodeTokenHeader(req, jwtSecret, jwtVerifyOptions);
-        if (users.indexOf(decodedToken.username) < 0) {
-          throw new Error('Forbidden');
-        }
-        next();
+        decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+          this.middlewareOptions());
       } catch (e) {
-        res.status(403).json({
-          success: false,
-          message: 'Forbidden'
+        return res.status(401).json({
+          success: false
         });
       }
-    });
+      if (decodedToken.jti) {
+        await this.authDB.revokeToken(decodedToken.jti,
+          getTokenSubject(decodedToken), decodedToken.exp);
+      }
+      if (req.body && req.body.refreshToken) {
+        let refreshToken = await this.authDB.getRefreshToken(
+          OpaqueToken.hashToken(req.body.refreshToken));
+        if (refreshToken && refreshToken.username === decodedToken.username) {
+          await this.authDB.revokeRefreshTokenFamily(refreshToken.family);
+        }
+      }
+      await this.authDB.deleteExpiredRevokedTokens();
+      res.json({
+        success: true
+      });
+    }));
+    return router;
   }
 
-  static allowGroups (groups, jwtSecret) {
-    return wrapAsync(async (req, res, next) => {
+  /**
+   * Revoke all the access and refresh tokens issued to a user so far
+   */
+  async revokeAllUserTokens (username) {
+    // after tokenLifetime seconds all the tokens issued so far have expired
+    // and the revocation is no longer needed
+    await this.authDB.revokeUserTokens(username,
+      Math.floor(Date.now() / 1000) + this.config.tokenLifetime);
+    await this.authDB.revokeUserRefreshTokens(username);
+    await this.authDB.deleteExpiredRevokedTokens();
+  }
+
+  revokeUserTokens () {
+    return wrapAsync(async (req, res) => {
+      let success = true;
       try {
-        let decodedToken = await jwt.decodeTokenHeader(req, jwtSecret, jwtVerifyOptions);
-        if (!('groups' in decodedToken)) {
-          throw new Error('No groups in token');
-        }
-        for (let tokenGroup of decodedToken.groups) {
-          if (groups.indexOf(tokenGroup) >= 0) {
-            return next();
-          }
-        }
-        // the token might be outdated, try to fetch groups from the db
-        if (this.authDB) {
-          let userGroups = await this.authDB.getUserGroups(decodedToken.username);
-          for (let tokenGroup of userGroups) {
-            if (groups.indexOf(tokenGroup) >= 0) {
-              return next();
-            }
-          }
+        await this.revokeAllUserTokens(req.params.username);
+      } catch (e) {
+        this.logger.error(e.message);
+        success = false;
+      }
+      await this.auditEvent(req, 'user-revoke-tokens', {
+        target: req.params.username,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Publish the public keys used to sign tokens as a JWKS, so that other
+   * services can verify tokens without being able to sign them.
+   * If tokens are signed with a secret the key set is empty
+   */
+  jwks () {
+    let router = express.Router();
+    router.get('/', wrapAsync(async (req, res) => {
+      res.json(await this.keyring.getJWKS());
+    }));
+    return router;
+  }
+
+  /**
+   * Replace the key used to sign tokens with a new one. Tokens signed with the
+   * previous key stay valid until they expire
+   */
+  async rotateSigningKey () {
+    let key = await this.keyring.rotate();
+    this.logger.info('Rotated signing key, new kid: \'' + key.kid + '\'');
+    return key;
+  }
+
+  getSigningKeys () {
+    return wrapAsync(async (req, res) => {
+      await this.keyring.load();
+      res.json(this.keyring.keys.map((key) => ({
+        kid: key.kid,
+        algorithm: key.algorithm,
+        current: key.current,
+        expirationDate: key.expirationDate
+      })));
+    });
+  }
+
+  rotateSigningKeys () {
+    return wrapAsync(async (req, res) => {
+      let success = true;
+      let kid;
+      try {
+        kid = (await this.rotateSigningKey()).kid;
+      } catch (e) {
+        this.logger.error(e.message);
+        success = false;
+      }
+      res.status(success ? 200 : 409).json({
+        success: success,
+        kid: kid
+      });
+    });
+  }
+
+  /**
+   * Base URL of the routers returned by defaultRouters, which is also the
+   * issuer of OpenID Connect ID tokens. If no issuer is configured it's
+   * derived from the request
+   * @param req the request
+   * @param routePath path of the router handling the request, relative to
+   * the default routers
+   */
+  getIssuerURL (req, routePath) {
+    if (this.config.issuer) {
+      return this.config.issuer.replace(/\/$/, '');
+    }
+    let baseUrl = req.baseUrl.substr(0, req.baseUrl.length - routePath.length);
+    return req.protocol + '://' + req.get('host') + baseUrl;
+  }
+
+  /**
+   * Validate the parameters of an OAuth 2.0 authorization request.
+   * Returns an object containing the following fields:
+   * - client: the client application
+   * - redirectUri: URI the user agent will be redirected to
+   * - error: OAuth 2.0 error code (undefined if the request is valid)
+   * - errorDescription: human readable description of the error
+   * Errors can be reported to the client through the redirect URI only if
+   * redirectUri is set
+   */
+  async validateAuthorizationRequest (params) {
+    let client = params.client_id ? await this.authDB.getClient(params.client_id) : null;
+    if (!client) {
+      return {error: 'invalid_request', errorDescription: 'Unknown client'};
+    }
+    let redirectUri = params.redirect_uri;
+    if (!redirectUri && client.redirectUris.length === 1) {
+      redirectUri = client.redirectUris[0];
+    }
+    if (client.redirectUris.indexOf(redirectUri) < 0) {
+      // never redirect to an unregistered URI
+      return {error: 'invalid_request', errorDescription: 'Invalid redirect_uri'};
+    }
+    let result = {client: client, redirectUri: redirectUri};
+    if (params.response_type !== 'code') {
+      return Object.assign(result, {
+        error: 'unsupported_response_type',
+        errorDescription: 'Only the authorization code flow is supported'
+      });
+    }
+    // PKCE is mandatory for public clients, which can't authenticate when
+    // exchanging the code
+    if (!params.code_challenge && !client.secretHash) {
+      return Object.assign(result, {
+        error: 'invalid_request',
+        errorDescription: 'code_challenge is required'
+      });
+    }
+    if (params.code_challenge && params.code_challenge_method !== 'S256') {
+      return Object.assign(result, {
+        error: 'invalid_request',
+        errorDescription: 'Only the S256 code_challenge_method is supported'
+      });
+    }
+    return result;
+  }
+
+  /**
+   * OAuth 2.0 authorization endpoint (authorization code flow, with PKCE).
+   * GET shows a login page; the login page posts the credentials back along
+   * with the parameters of the authorization request and, if the credentials
+   * are valid, the user agent is redirected to the client with an
+   * authorization code
+   */
+  authorize () {
+    let router = express.Router();
+    router.get('/', this.authorizeRequest());
+    router.post('/', bodyParser.urlencoded({extended: false}), this.authorizeParsedRequest());
+    return router;
+  }
+
+  authorizeRequest () {
+    return wrapAsync(async (req, res) => {
+      let params = {
+        client_id: req.query.client_id,
+        redirect_uri: req.query.redirect_uri,
+        response_type: req.query.response_type,
+        scope: req.query.scope,
+        state: req.query.state,
+        nonce: req.query.nonce,
+        code_challenge: req.query.code_challenge,
+        code_challenge_method: req.query.code_challenge_method
+      };
+      let authorizationRequest = await this.validateAuthorizationRequest(params);
+      if (authorizationRequest.error && !authorizationRequest.redirectUri) {
+        return res.status(400).type('text/plain').send(authorizationRequest.errorDescription);
+      }
+      if (authorizationRequest.error) {
+        return res.redirect(oauth.buildRedirectURL(authorizationRequest.redirectUri, {
+          error: authorizationRequest.error,
+          error_description: authorizationRequest.errorDescription,
+          state: params.state
+        }));
+      }
+      res.type('html').send(oauth.renderLoginPage(params, {
+        clientName: authorizationRequest.client.name
+      }));
+    });
+  }
+
+  authorizeParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      let params = {
+        client_id: req.body.client_id,
+        redirect_uri: req.body.redirect_uri,
+        response_type: req.body.response_type,
+        scope: req.body.scope,
+        state: req.body.state,
+        nonce: req.body.nonce,
+        code_challenge: req.body.code_challenge,
+        code_challenge_method: req.body.code_challenge_method
+      };
+      let authorizationRequest = await this.validateAuthorizationRequest(params);
+      if (authorizationRequest.error) {
+        // the login page only posts requests that have already been
+        // validated, so this is not a legitimate request
+        return res.status(400).type('text/plain').send(authorizationRequest.errorDescription);
+      }
+
+      let username = req.body.username;
+      if (req.body.challenge) {
+        // second step of the login of a user with two-factor authentication:
+        // the password has already been checked
+        let challengeUsername = await this.consumeMFAChallenge(req.body.challenge);
+        let result = {success: false, retryAfter: 0};
+        if (challengeUsername) {
+          result = await this.checkSecondFactor(challengeUsername, req.body, req.ip);
+          await this.auditLogin(req, challengeUsername, result.success);
+        }
+        // the challenge can't be reused: if it fails the user has to start over
+        if (result.retryAfter) {
+          return res.status(429).set('Retry-After', String(result.retryAfter))
+            .type('html').send(oauth.renderLoginPage(params, {
+              clientName: authorizationRequest.client.name,
+              username: challengeUsername,
+              error: 'Too many failed attempts, please try again later'
+            }));
+        }
+        if (!result.success) {
+          return res.status(401).type('html').send(oauth.renderLoginPage(params, {
+            clientName: authorizationRequest.client.name,
+            username: challengeUsername || '',
+            error: 'Invalid or expired authentication code'
+          }));
+        }
+        username = challengeUsername;
+      } else {
+        let result = await this.checkPassword(username, req.body.password, req.ip);
+        if (!result.success) {
+          await this.auditLogin(req, username, false);
+        }
+        if (result.retryAfter) {
+          return res.status(429).set('Retry-After', String(result.retryAfter))
+            .type('html').send(oauth.renderLoginPage(params, {
+              clientName: authorizationRequest.client.name,
+              username: username,
+              error: 'Too many failed attempts, please try again later'
+            }));
+        }
+        if (result.pending) {
+          return res.status(403).type('html').send(oauth.renderLoginPage(params, {
+            clientName: authorizationRequest.client.name,
+            username: username,
+            error: 'Your account is waiting for approval'
+          }));
+        }
+        if (!result.success) {
+          return res.status(401).type('html').send(oauth.renderLoginPage(params, {
+            clientName: authorizationRequest.client.name,
+            username: username,
+            error: 'Invalid username or password'
+          }));
+        }
+        let challenge = await this.createMFAChallenge(username);
+        if (challenge && challenge.mfaRequired) {
+          return res.type('html').send(oauth.renderMFAPage(params, {
+            challenge: challenge.challenge
+          }));
+        }
+        if (challenge) {
+          // enrollment is only supported through the API
+          return res.status(403).type('html').send(oauth.renderLoginPage(params, {
+            clientName: authorizationRequest.client.name,
+            username: username,
+            error: 'Two-factor authentication must be enabled before signing in'
+          }));
+        }
+        await this.auditLogin(req, username, true);
+      }
+
+      let now = Math.floor(Date.now() / 1000);
+      let code = OpaqueToken.generateToken();
+      await this.authDB.addAuthorizationCode(OpaqueToken.hashToken(code), {
+        clientId: authorizationRequest.client.clientId,
+        username: username,
+        redirectUri: authorizationRequest.redirectUri,
+        scope: params.scope || '',
+        nonce: params.nonce || null,
+        codeChallenge: params.code_challenge || null,
+        authTime: now,
+        expirationDate: now + authorizationCodeLifetime
+      });
+      res.redirect(oauth.buildRedirectURL(authorizationRequest.redirectUri, {
+        code: code,
+        state: params.state
+      }));
+    });
+  }
+
+  /**
+   * Authenticate the client application making a token request.
+   * Public clients only need to provide their client_id, while confidential
+   * clients need to provide their secret too.
+   * Returns the client, or null if authentication failed
+   */
+  async authenticateClient (req) {
+    let credentials = oauth.getClientCredentials(req);
+    if (!credentials || !credentials.clientId) {
+      return null;
+    }
+    let client = await this.authDB.getClient(credentials.clientId);
+    if (!client) {
+      return null;
+    }
+    if (client.secretHash && !(credentials.clientSecret &&
+        OpaqueToken.verifyToken(credentials.clientSecret, client.secretHash))) {
+      return null;
+    }
+    return client;
+  }
+
+  /**
+   * Generate an OpenID Connect ID token
+   * @param username
+   * @param clientId client the token is meant for (aud claim)
+   * @param issuer issuer URL (iss claim)
+   * @param options object containing the following (optional) fields:
+   * - nonce: nonce sent with the authorization request
+   * - authTime: UNIX time the user authenticated at
+   * - scope: granted scopes, which decide the claims that are included (see
+   *   oauth.userClaims)
+   */
+  async issueIDToken (username, clientId, issuer, options = {}) {
+    let user = await this.authDB.getUser(username);
+    user.groups = await this.getTokenGroups(user.groups);
+    let payload = Object.assign(oauth.userClaims(user, options.scope || ''), {
+      tokenType: 'id',
+      iss: issuer,
+      aud: clientId,
+      exp: Math.floor(Date.now() / 1000) + this.config.tokenLifetime
+    });
+    if (options.nonce) {
+      payload.nonce = options.nonce;
+    }
+    if (options.authTime) {
+      payload.auth_time = options.authTime;
+    }
+    return this.signToken(payload);
+  }
+
+  /**
+   * Convert the response of issueOAuthTokens into an OAuth 2.0 token response
+   */
+  static oauthTokenResponse (tokens, scope) {
+    let response = {
+      access_token: tokens.token,
+      token_type: 'Bearer',
+      expires_in: tokens.tokenExpirationDate - Math.floor(Date.now() / 1000),
+      refresh_token: tokens.refreshToken
+    };
+    if (scope) {
+      response.scope = scope;
+    }
+    return response;
+  }
+
+  /**
+   * OAuth 2.0 token endpoint
+   */
+  token () {
+    let router = express.Router();
+    router.post('/', bodyParser.urlencoded({extended: false}), bodyParser.json(), this.tokenParsedRequest());
+    return router;
+  }
+
+  tokenParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      // responses containing tokens must not be cached
+      res.set('Cache-Control', 'no-store');
+      res.set('Pragma', 'no-cache');
+      if (req.body.grant_type === 'authorization_code') {
+        await this.authorizationCodeGrant(req, res);
+      } else if (req.body.grant_type === 'refresh_token') {
+        await this.refreshTokenGrant(req, res);
+      } else if (req.body.grant_type === 'client_credentials') {
+        await this.clientCredentialsGrant(req, res);
+      } else {
+        res.status(400).json({
+          error: 'unsupported_grant_type'
+        });
+      }
+    });
+  }
+
+  async authorizationCodeGrant (req, res) {
+    let client = await this.authenticateClient(req);
+    if (!client) {
+      return res.status(401).json({
+        error: 'invalid_client'
+      });
+    }
+    let authorizationCode = null;
+    if (req.body.code) {
+      authorizationCode = await this.authDB.consumeAuthorizationCode(
+        OpaqueToken.hashToken(req.body.code));
+    }
+    await this.authDB.deleteExpiredAuthorizationCodes();
+    if (!authorizationCode ||
+        authorizationCode.expirationDate < Date.now() / 1000 ||
+        authorizationCode.clientId !== client.clientId ||
+        (req.body.redirect_uri && req.body.redirect_uri !== authorizationCode.redirectUri) ||
+        (authorizationCode.codeChallenge &&
+          !oauth.verifyCodeChallenge(req.body.code_verifier, authorizationCode.codeChallenge))) {
+      return res.status(400).json({
+        error: 'invalid_grant'
+      });
+    }
+
+    // unsupported scopes are ignored
+    let scope = oauth.grantScope(authorizationCode.scope);
+    let response = SaintPeter.oauthTokenResponse(
+      await this.issueOAuthTokens(authorizationCode.username, client.clientId, scope),
+      scope);
+    if (scope.split(' ').indexOf('openid') >= 0) {
+      response.id_token = await this.issueIDToken(authorizationCode.username,
+        client.clientId, this.getIssuerURL(req, '/token'), {
+          nonce: authorizationCode.nonce,
+          authTime: authorizationCode.authTime,
+          scope: scope
+        });
+    }
+    res.json(response);
+  }
+
+  async refreshTokenGrant (req, res) {
+    let client = await this.authenticateClient(req);
+    if (!client) {
+      return res.status(401).json({
+        error: 'invalid_client'
+      });
+    }
+    let tokens;
+    try {
+      tokens = await this.renewTokens(req.body.refresh_token, client.clientId);
+    } catch (e) {
+      await this.auditEvent(req, 'token-renewal', {actor: null, success: false});
+      return res.status(400).json({
+        error: 'invalid_grant'
+      });
+    }
+    await this.auditEvent(req, 'token-renewal', {
+      actor: tokens.username,
+      target: tokens.username
+    });
+    res.json(SaintPeter.oauthTokenResponse(tokens, tokens.scope));
+  }
+
+  /**
+   * Issue an access token to a service account. Service accounts don't get
+   * refresh tokens: they can simply request a new token using their
+   * credentials
+   */
+  async clientCredentialsGrant (req, res) {
+    let credentials = oauth.getClientCredentials(req);
+    let serviceAccount = credentials && credentials.clientId
+      ? await this.authDB.getServiceAccount(credentials.clientId) : null;
+    if (!serviceAccount || serviceAccount.disabled || !credentials.clientSecret ||
+        !OpaqueToken.verifyToken(credentials.clientSecret, serviceAccount.secretHash)) {
+      return res.status(401).json({
+        error: 'invalid_client'
+      });
+    }
+
+    let expirationDate = Math.floor(Date.now() / 1000) +
+      this.config.tokenLifetime;
+    let token = await this.signToken({
+      exp: expirationDate,
+      jti: OpaqueToken.generateToken(16),
+      // service accounts are identified by their client id: tokens without
+      // a username can't be mistaken for the ones of a user
+      clientId: serviceAccount.clientId,
+      serviceAccount: true,
+      groups: await this.getTokenGroups(serviceAccount.groups),
+      permissions: await this.authDB.getGroupPermissions(
+        await this.authDB.expandGroups(serviceAccount.groups)),
+      iss: this.config.issuer
+    });
+    res.json({
+      access_token: token,
+      token_type: 'Bearer',
+      expires_in: this.config.tokenLifetime
+    });
+  }
+
+  /**
+   * OpenID Connect UserInfo endpoint
+   */
+  userinfo () {
+    let router = express.Router();
+    router.all('/', wrapAsync(async (req, res) => {
+      let decodedToken;
+      try {
+        // access tokens issued to any OAuth client are accepted
+        decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+          Object.assign(this.middlewareOptions(), {audience: true}));
+        if (decodedToken.serviceAccount) {
+          throw new Error('Service accounts have no user info');
+        }
+      } catch (e) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).end();
+      }
+      let user = await this.authDB.getUser(getTokenSubject(decodedToken));
+      user.groups = await this.getTokenGroups(user.groups);
+      // OAuth clients only get the claims of the scopes granted to them
+      res.json(oauth.userClaims(user, decodedToken.aud ? decodedToken.scope || '' : undefined));
+    }));
+    return router;
+  }
+
+  /**
+   * OpenID Connect discovery document
+   */
+  openidConfiguration () {
+    let router = express.Router();
+    router.get('/', (req, res) => {
+      let issuer = this.getIssuerURL(req, '/.well-known/openid-configuration');
+      res.json({
+        issuer: issuer,
+        authorization_endpoint: issuer + '/authorize',
+        token_endpoint: issuer + '/token',
+        userinfo_endpoint: issuer + '/userinfo',
+        jwks_uri: issuer + '/.well-known/jwks.json',
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token',
+          'client_credentials'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: [this.config.jwtAlgorithm],
+        scopes_supported: ['openid', 'profile', 'email', 'groups'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_basic',
+          'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time',
+          'nonce', 'preferred_username', 'email', 'email_verified', 'given_name',
+          'family_name', 'groups']
+      });
+    });
+    return router;
+  }
+
+  getClients () {
+    return wrapAsync(async (req, res) => {
+      let clients = await this.authDB.getClients();
+      res.json(clients.map(SaintPeter.publicClientFields));
+    });
+  }
+
+  getClient () {
+    return wrapAsync(async (req, res) => {
+      let client = await this.authDB.getClient(req.params.clientId);
+      if (!client) {
+        return res.status(404).json({
+          success: false
+        });
+      }
+      res.json(SaintPeter.publicClientFields(client));
+    });
+  }
+
+  /**
+   * Register a new client application. Confidential clients (i.e. clients
+   * that can keep a secret, such as server side applications) get a secret,
+   * which is only returned now
+   */
+  addClient () {
+    return wrapAsync(async (req, res) => {
+      if (!SaintPeter.validRedirectUris(req.body.redirectUris)) {
+        return res.status(400).json({
+          success: false,
+          message: 'redirectUris must be an array of absolute URIs'
+        });
+      }
+      let client = {
+        clientId: req.body.clientId || OpaqueToken.generateToken(16),
+        name: req.body.name || '',
+        redirectUris: req.body.redirectUris
+      };
+      let clientSecret;
+      if (req.body.confidential) {
+        clientSecret = OpaqueToken.generateToken();
+        client.secretHash = OpaqueToken.hashToken(clientSecret);
+      }
+      let success = await this.authDB.addClient(client);
+      res.status(success ? 200 : 409).json({
+        success: success,
+        clientId: success ? client.clientId : undefined,
+        clientSecret: success ? clientSecret : undefined
+      });
+    });
+  }
+
+  updateClient () {
+    return wrapAsync(async (req, res) => {
+      let fields = {};
+      if ('name' in req.body) {
+        fields.name = req.body.name;
+      }
+      if ('redirectUris' in req.body) {
+        if (!SaintPeter.validRedirectUris(req.body.redirectUris)) {
+          return res.status(400).json({
+            success: false,
+            message: 'redirectUris must be an array of absolute URIs'
+          });
+        }
+        fields.redirectUris = req.body.redirectUris;
+      }
+      let success = await this.authDB.updateClient(req.params.clientId, fields);
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  deleteClient () {
+    return wrapAsync(async (req, res) => {
+      let success = await this.authDB.deleteClient(req.params.clientId);
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  getServiceAccounts () {
+    return wrapAsync(async (req, res) => {
+      let serviceAccounts = await this.authDB.getServiceAccounts();
+      res.json(serviceAccounts.map(SaintPeter.publicServiceAccountFields));
+    });
+  }
+
+  getServiceAccount () {
+    return wrapAsync(async (req, res) => {
+      let serviceAccount = await this.authDB.getServiceAccount(req.params.clientId);
+      if (!serviceAccount) {
+        return res.status(404).json({
+          success: false
+        });
+      }
+      res.json(SaintPeter.publicServiceAccountFields(serviceAccount));
+    });
+  }
+
+  /**
+   * Create a new service account. Its secret is only returned now
+   */
+  addServiceAccount () {
+    return wrapAsync(async (req, res) => {
+      let clientSecret = OpaqueToken.generateToken();
+      let serviceAccount = {
+        clientId: OpaqueToken.generateToken(16),
+        name: req.body.name || '',
+        secretHash: OpaqueToken.hashToken(clientSecret),
+        groups: req.body.groups || []
+      };
+      let success = await this.authDB.addServiceAccount(serviceAccount);
+      res.status(success ? 200 : 409).json({
+        success: success,
+        clientId: success ? serviceAccount.clientId : undefined,
+        clientSecret: success ? clientSecret : undefined
+      });
+    });
+  }
+
+  /**
+   * Update the name, the groups or the status of a service account.
+   * Disabling a service account revokes all its tokens
+   */
+  updateServiceAccount () {
+    return wrapAsync(async (req, res) => {
+      let fields = {};
+      for (let field of ['name', 'groups']) {
+        if (field in req.body) {
+          fields[field] = req.body[field];
+        }
+      }
+      if ('disabled' in req.body) {
+        fields.disabled = Boolean(req.body.disabled);
+      }
+      let success = await this.authDB.updateServiceAccount(req.params.clientId, fields);
+      if (success && fields.disabled) {
+        await this.revokeAllUserTokens(req.params.clientId);
+      }
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Replace the secret of a service account. The new secret is only returned
+   * now, and the tokens obtained with the previous one are revoked
+   */
+  rotateServiceAccountSecret () {
+    return wrapAsync(async (req, res) => {
+      let clientSecret = OpaqueToken.generateToken();
+      let success = await this.authDB.updateServiceAccount(req.params.clientId, {
+        secretHash: OpaqueToken.hashToken(clientSecret)
+      });
+      if (success) {
+        await this.revokeAllUserTokens(req.params.clientId);
+      }
+      res.status(success ? 200 : 409).json({
+        success: success,
+        clientSecret: success ? clientSecret : undefined
+      });
+    });
+  }
+
+  deleteServiceAccount () {
+    return wrapAsync(async (req, res) => {
+      let success = await this.authDB.deleteServiceAccount(req.params.clientId);
+      if (success) {
+        await this.revokeAllUserTokens(req.params.clientId);
+      }
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Fields of a service account that can be shown to admins (i.e. not the
+   * secret hash)
+   */
+  static publicServiceAccountFields (serviceAccount) {
+    return {
+      clientId: serviceAccount.clientId,
+      name: serviceAccount.name,
+      groups: serviceAccount.groups,
+      disabled: serviceAccount.disabled
+    };
+  }
+
+  /**
+   * Fields of a client that can be shown to admins (i.e. not the secret hash)
+   */
+  static publicClientFields (client) {
+    return {
+      clientId: client.clientId,
+      name: client.name,
+      redirectUris: client.redirectUris,
+      confidential: Boolean(client.secretHash)
+    };
+  }
+
+  /**
+   * Whether the redirect URIs of a client are acceptable: https URLs, or
+   * http ones on the loopback interface (e.g. for native apps), without a
+   * fragment. Other schemes (e.g. javascript: or data:) are rejected
+   */
+  static validRedirectUris (redirectUris) {
+    if (!Array.isArray(redirectUris)) {
+      return false;
+    }
+    return redirectUris.every((redirectUri) => {
+      let url;
+      try {
+        url = new URL(redirectUri);
+      } catch (e) {
+        return false;
+      }
+      // fragments are not allowed in redirect URIs
+      if (url.hash) {
+        return false;
+      }
+      return url.protocol === 'https:' || (url.protocol === 'http:' &&
+        ['localhost', '127.0.0.1', '[::1]'].indexOf(url.hostname) >= 0);
+    });
+  }
+
+  /**
+   * Options passed to the static middlewares used by our own routers
+   */
+  middlewareOptions () {
+    return {
+      authDB: this.authDB
+    };
+  }
+
+  /**
+   * Returns an express middleware that allows access only to authenticated users
+   * @param jwtSecret secret or PEM encoded public key used to verify the token
+   * @param options object containing the following (optional) fields:
+   * - authDB: auth db used to check whether the token has been revoked
+   * - jwksUri: URL of a JWKS to fetch the keys from (jwtSecret is ignored)
+   * - audience: id of the OAuth client whose access tokens are accepted
+   */
+  static requireAuthentication (jwtSecret, options) {
+    return wrapAsync(async (req, res, next) => {
+      try {
+        await verifyRequestToken(req, jwtSecret, options);
+        next();
+      } catch (e) {
+        res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+    });
+  }
+
+  /**
+   * Returns an express middleware that allows access only to the given users
+   * @param users array of usernames
+   * @param jwtSecret secret or PEM encoded public key used to verify the token
+   * @param options object containing the following (optional) fields:
+   * - authDB: auth db used to check whether the token has been revoked
+   * - jwksUri: URL of a JWKS to fetch the keys from (jwtSecret is ignored)
+   */
+  static allowUsers (users, jwtSecret, options) {
+    return wrapAsync(async (req, res, next) => {
+      try {
+        let decodedToken = await verifyRequestToken(req, jwtSecret, options);
+        if (decodedToken.serviceAccount || users.indexOf(decodedToken.username) < 0) {
+          throw new Error('Forbidden');
+        }
+        next();
+      } catch (e) {
+        res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+    });
+  }
+
+  /**
+   * Returns an express middleware that allows access only to users belonging
+   * to the given groups
+   * @param groups array of group names
+   * @param jwtSecret secret or PEM encoded public key used to verify the token
+   * @param options object containing the following (optional) fields:
+   * - authDB: auth db used to check whether the token has been revoked and to
+   *   fetch up to date groups if the ones in the token don't match
+   * - jwksUri: URL of a JWKS to fetch the keys from (jwtSecret is ignored)
+   */
+  static allowGroups (groups, jwtSecret, options = {}) {
+    return wrapAsync(async (req, res, next) => {
+      try {
+        let decodedToken = await verifyRequestToken(req, jwtSecret, options);
+        if (!('groups' in decodedToken)) {
+          throw new Error('No groups in token');
+        }
+        for (let tokenGroup of decodedToken.groups) {
+          if (groups.indexOf(tokenGroup) >= 0) {
+            return next();
+          }
+        }
+        // the token might be outdated, try to fetch groups from the db
+        if (options.authDB) {
+          let userGroups = await SaintPeter.getTokenSubjectGroups(decodedToken,
+            options.authDB);
+          for (let tokenGroup of userGroups) {
+            if (groups.indexOf(tokenGroup) >= 0) {
+              return next();
+            }
+          }
+        }
+        throw new Error('Forbidden');
+      } catch (e) {
+        res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+    });
+  }
+
+  /**
+   * Fetch from the db the groups (including the ones inherited through nested
+   * groups) of the user (or service account) a token was issued to
+   */
+  static async getTokenSubjectGroups (decodedToken, authDB) {
+    if (decodedToken.serviceAccount) {
+      let serviceAccount = await authDB.getServiceAccount(decodedToken.clientId);
+      return serviceAccount ? authDB.expandGroups(serviceAccount.groups) : [];
+    }
+    return authDB.getUserGroups(decodedToken.username, true);
+  }
+
+  /**
+   * Returns an express middleware that allows access only to users (or
+   * service accounts) that have all the given permissions through their groups
+   * @param permissions array of permission names (e.g. ['users:write'])
+   * @param jwtSecret secret or PEM encoded public key used to verify the token
+   * @param options object containing the following (optional) fields:
+   * - authDB: auth db used to check whether the token has been revoked and to
+   *   fetch up to date permissions (the ones in the token are then ignored,
+   *   since they might have been revoked in the meantime)
+   * - jwksUri: URL of a JWKS to fetch the keys from (jwtSecret is ignored)
+   */
+  static requirePermissions (permissions, jwtSecret, options = {}) {
+    return wrapAsync(async (req, res, next) => {
+      try {
+        let decodedToken = await verifyRequestToken(req, jwtSecret, options);
+        let grantedPermissions = options.authDB
+          ? await SaintPeter.getTokenSubjectPermissions(decodedToken, options.authDB)
+          : decodedToken.permissions || [];
+        if (permissions.every((permission) => grantedPermissions.indexOf(permission) >= 0)) {
+          return next();
+        }
+        throw new Error('Forbidden');
+      } catch (e) {
+        res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+    });
+  }
+
+  /**
+   * Fetch from the db the permissions of the user (or service account) a
+   * token was issued to
+   */
+  static async getTokenSubjectPermissions (decodedToken, authDB) {
+    return authDB.getGroupPermissions(
+      await SaintPeter.getTokenSubjectGroups(decodedToken, authDB));
+  }
+
+  getUsernames () {
+    let router = express.Router();
+    router.get('/', wrapAsync(async (req, res) => {
+      res.json(await this.authDB.getUsernames());
+    }));
+    return router;
+  }
+
+  /**
+   * List users, one page at a time. The query parameters q, group, sort,
+   * order, limit and offset are all optional (see SQLAuthDB.findUsers).
+   * Without any of them the response is a bare array of every user, as in
+   * earlier versions
+   */
+  getUsers () {
+    return wrapAsync(async (req, res) => {
+      let paged = ['q', 'group', 'sort', 'order', 'limit', 'offset']
+        .some((name) => typeof req.query[name] !== 'undefined');
+      let query = {};
+      for (let name of ['q', 'group', 'sort', 'order']) {
+        if (req.query[name]) {
+          query[name] = String(req.query[name]);
+        }
+      }
+      if (query.sort && ['username', 'email', 'firstName', 'lastName'].indexOf(query.sort) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sort'
+        });
+      }
+      if (query.order && query.order !== 'asc' && query.order !== 'desc') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid order'
+        });
+      }
+      for (let name of ['limit', 'offset']) {
+        if (typeof req.query[name] !== 'undefined') {
+          let value = Number(req.query[name]);
+          if (!Number.isInteger(value) || value < 0) {
+            return res.status(400).json({
+              success: false,
+              message: 'Invalid ' + name
+            });
+          }
+          query[name] = value;
+        }
+      }
+      if (paged) {
+        query.limit = Math.min(typeof query.limit === 'number' ? query.limit : 100, 1000);
+        query.offset = query.offset || 0;
+      }
+
+      let success = true;
+      let result = {};
+      try {
+        let page = await this.authDB.findUsers(query);
+        for (let user of page.users) {
+          user.attributes = this.attributeSchema.filter(user.attributes);
+        }
+        result = paged ? {
+          users: page.users,
+          total: page.total,
+          limit: query.limit,
+          offset: query.offset
+        } : page.users;
+      } catch (e) {
+        this.logger.error(e.message);
+        success = false;
+      }
+      res.status(success ? 200 : 409).json(result);
+    });
+  }
+
+  getUser () {
+    return wrapAsync(async (req, res) => {
+      let success = true;
+      let user = {};
+      try {
+        user = await this.authDB.getUser(req.params.username);
+        user.attributes = this.attributeSchema.filter(user.attributes);
+      } catch (e) {
+        success = false;
+      }
+      res.status(success ? 200 : 409).json(user);
+    });
+  }
+
+  /**
+   * Groups a user belongs to: only the ones the user has been added to,
+   * unless the query parameter effective is true, in which case the groups
+   * containing them are included too
+   */
+  getUserGroups () {
+    return wrapAsync(async (req, res) => {
+      if (!(await this.authDB.hasUser(req.params.username))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      let user = await this.authDB.getUser(req.params.username);
+      if (req.query.effective === 'true') {
+        return res.json(await this.authDB.expandGroups(user.groups));
+      }
+      res.json(user.groups);
+    });
+  }
+
+  getGroups () {
+    return wrapAsync(async (req, res) => {
+      res.json(await this.authDB.getGroups());
+    });
+  }
+
+  addUser () {
+    return wrapAsync(async (req, res) => {
+      let failedRules = await this.passwordPolicy.validate(req.body.username,
+        req.body.password);
+      if (failedRules.length > 0) {
+        return sendPasswordPolicyViolation(res, failedRules);
+      }
+      let attributes = req.body.attributes || {};
+      let failedAttributes = this.attributeSchema.validate(attributes,
+        {admin: true, create: true});
+      if (failedAttributes.length > 0) {
+        return sendAttributeViolation(res, failedAttributes);
+      }
+      let success = true;
+      try {
+        success = await this.authDB.addUser(req.body.username, req.body.password);
+        if (success) {
+          await this.passwordPolicy.recordPassword(req.body.username, req.body.password);
+          await this.authDB.setUserAttributes(req.body.username, attributes);
+        }
+      } catch (e) {
+        this.logger.error(e.message);
+        success = false;
+      }
+      await this.auditEvent(req, 'user-create', {
+        target: req.body.username,
+        success: success,
+        after: success ? await this.getUserSnapshot(req.body.username) : null
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  deleteUser () {
+    return wrapAsync(async (req, res) => {
+      let before = await this.getUserSnapshot(req.params.username);
+      let success = true;
+      try {
+        success = await this.authDB.deleteUser(req.params.username);
+        if (success) {
+          await this.revokeAllUserTokens(req.params.username);
+        }
+      } catch (e) {
+        success = false;
+        this.logger.error(e.message);
+      }
+      await this.auditEvent(req, 'user-delete', {
+        target: req.params.username,
+        success: success,
+        before: success ? before : null
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  addGroup () {
+    return wrapAsync(async (req, res) => {
+      let success = await this.authDB.addGroup(req.body.group);
+      await this.auditEvent(req, 'group-create', {
+        target: req.body.group,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  deleteGroup () {
+    return wrapAsync(async (req, res) => {
+      let success = await this.authDB.deleteGroup(req.params.group);
+      await this.auditEvent(req, 'group-delete', {
+        target: req.params.group,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Whether a string can be used as a permission name: one or more words
+   * separated by colons, e.g. 'users:write'
+   */
+  static isValidPermission (permission) {
+    return typeof permission === 'string' &&
+      /^[A-Za-z0-9_.-]+(:[A-Za-z0-9_.-]+)*$/.test(permission);
+  }
+
+  getPermissions () {
+    return wrapAsync(async (req, res) => {
+      res.json(await this.authDB.getPermissions());
+    });
+  }
+
+  getGroupPermissions () {
+    return wrapAsync(async (req, res) => {
+      if ((await this.authDB.getGroups()).indexOf(req.params.group) < 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+      res.json(await this.authDB.getGroupPermissions([req.params.group]));
+    });
+  }
+
+  addGroupPermission () {
+    return wrapAsync(async (req, res) => {
+      if (!SaintPeter.isValidPermission(req.body.permission)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid permission'
+        });
+      }
+      let before = await this.authDB.getGroupPermissions([req.params.group]);
+      let success = await this.authDB.addGroupPermission(req.params.group,
+        req.body.permission);
+      await this.auditEvent(req, 'group-permission-add', {
+        target: req.params.group,
+        success: success,
+        before: {permissions: before},
+        after: {permissions: await this.authDB.getGroupPermissions([req.params.group])}
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  removeGroupPermission () {
+    return wrapAsync(async (req, res) => {
+      let before = await this.authDB.getGroupPermissions([req.params.group]);
+      let success = await this.authDB.removeGroupPermission(req.params.group,
+        req.params.permission);
+      await this.auditEvent(req, 'group-permission-remove', {
+        target: req.params.group,
+        success: success,
+        before: {permissions: before},
+        after: {permissions: await this.authDB.getGroupPermissions([req.params.group])}
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  getGroupHierarchy () {
+    return wrapAsync(async (req, res) => {
+      res.json(await this.authDB.getGroupHierarchy());
+    });
+  }
+
+  getSubgroups () {
+    return wrapAsync(async (req, res) => {
+      if ((await this.authDB.getGroups()).indexOf(req.params.group) < 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+      res.json(await this.authDB.getSubgroups(req.params.group));
+    });
+  }
+
+  addSubgroup () {
+    return wrapAsync(async (req, res) => {
+      // the group must not be (directly or indirectly) contained in the new
+      // subgroup, otherwise the hierarchy would contain a cycle
+      if ((await this.authDB.expandGroups([req.params.group])).indexOf(req.body.group) >= 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'A group can\'t contain itself or a group containing it'
+        });
+      }
+      let before = await this.authDB.getSubgroups(req.params.group);
+      let success = await this.authDB.addSubgroup(req.params.group,
+        req.body.group);
+      await this.auditEvent(req, 'group-subgroup-add', {
+        target: req.params.group,
+        success: success,
+        before: {subgroups: before},
+        after: {subgroups: await this.authDB.getSubgroups(req.params.group)}
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  removeSubgroup () {
+    return wrapAsync(async (req, res) => {
+      let before = await this.authDB.getSubgroups(req.params.group);
+      let success = await this.authDB.removeSubgroup(req.params.group,
+        req.params.subgroup);
+      await this.auditEvent(req, 'group-subgroup-remove', {
+        target: req.params.group,
+        success: success,
+        before: {subgroups: before},
+        after: {subgroups: await this.authDB.getSubgroups(req.params.group)}
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  addUserToGroup () {
+    return wrapAsync(async (req, res) => {
+      let before = await this.getUserSnapshot(req.params.username);
+      let success = await this.authDB.addUserToGroup(req.params.username, req.body.group);
+      await this.auditEvent(req, 'user-group-add', {
+        target: req.params.username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(req.params.username)
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  removeUserFromGroup () {
+    return wrapAsync(async (req, res) => {
+      let before = await this.getUserSnapshot(req.params.username);
+      let success = await this.authDB.removeUserFromGroup(req.params.username, req.params.group);
+      await this.auditEvent(req, 'user-group-remove', {
+        target: req.params.username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(req.params.username)
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Assign a new password to a user (which must have already been checked
+   * against the password policy)
+   */
+  async changeUserPassword (username, password) {
+    await this.authDB.setUserPassword(username, password);
+    await this.passwordPolicy.recordPassword(username, password);
+    // existing sessions shouldn't survive a password change
+    await this.revokeAllUserTokens(username);
+  }
+
+  setUserPassword () {
+    return wrapAsync(async (req, res) => {
+      let username = req.params.username;
+      let oldPassword = req.body.oldPassword;
+      let newPassword = req.body.newPassword;
+      let result = await this.checkPassword(username, oldPassword, req.ip);
+      if (!result.success) {
+        await this.auditEvent(req, 'user-password-change', {
+          actor: null,
+          target: username,
+          success: false
+        });
+      }
+      if (result.retryAfter) {
+        return sendTooManyAttempts(res, result.retryAfter);
+      }
+      if (!result.success) {
+        return res.status(401).json({
+          success: false
+        });
+      }
+      let failedRules = await this.passwordPolicy.validate(username, newPassword);
+      if (failedRules.length > 0) {
+        return sendPasswordPolicyViolation(res, failedRules);
+      }
+
+      let success = true;
+      try {
+        await this.changeUserPassword(username, newPassword);
+      } catch (e) {
+        success = false;
+      }
+      await this.auditEvent(req, 'user-password-change', {
+        actor: username,
+        target: username,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  resetUserPassword () {
+    return wrapAsync(async (req, res) => {
+      let username = req.params.username;
+      let password = req.body.password;
+      let failedRules = await this.passwordPolicy.validate(username, password);
+      if (failedRules.length > 0) {
+        return sendPasswordPolicyViolation(res, failedRules);
+      }
+
+      let success = true;
+      try {
+        await this.changeUserPassword(username, password);
+      } catch (e) {
+        success = false;
+      }
+      await this.auditEvent(req, 'user-password-reset', {
+        target: username,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  forgotPassword () {
+    let router = express.Router();
+    router.post('/', bodyParser.json(), this.forgotPasswordParsedRequest());
+    return router;
+  }
+
+  /**
+   * Send a password reset link to a user, identified by either username or
+   * email. The response is the same whether the user exists or not, so that
+   * it can't be used to find out which accounts exist: it's sent before
+   * looking the user up, since how long that takes would tell too.
+   * Requests are throttled per username (or email) and per IP, like logins
+   */
+  forgotPasswordParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      if (!this.mailer) {
+        return res.status(501).json({
+          success: false,
+          message: 'Password reset is not available'
+        });
+      }
+      let username = req.body.username ? String(req.body.username) : null;
+      let email = req.body.email ? String(req.body.email) : null;
+      if (this.passwordResetThrottle && (username || email)) {
+        // every request counts, whether the user exists or not
+        let retryAfter = email
+          ? await this.passwordResetThrottle.reserveAttempt(email.toLowerCase(), req.ip, 'email')
+          : await this.passwordResetThrottle.reserveAttempt(username, req.ip, 'username');
+        if (retryAfter > 0) {
+          return sendTooManyAttempts(res, retryAfter, 'Too many requests');
+        }
+      }
+      res.json({
+        success: true
+      });
+      this.sendPasswordReset(username, email)
+        .catch((e) => this.logger.error('Cannot send password reset email to ' +
+          (email || username) + ': ' + e.message));
+    });
+  }
+
+  /**
+   * Email a password reset token to a user, identified by either username or
+   * email, if it exists and has an email (see forgotPasswordParsedRequest)
+   */
+  async sendPasswordReset (username, email) {
+    if (email) {
+      username = await this.authDB.getUsernameByEmail(email);
+    }
+    if (!username || !(await this.authDB.hasUser(username))) {
+      return;
+    }
+    let user = await this.authDB.getUser(username);
+    if (!user.email) {
+      return;
+    }
+    let token = await this.createOneTimeToken('password-reset', username, null,
+      this.config.passwordResetTokenLifetime);
+    await this.sendTokenMail(user.email, 'Password reset',
+      'A password reset has been requested for the account ' + username +
+      '.\nTo choose a new password, ', this.config.passwordResetURL, token,
+      this.config.passwordResetTokenLifetime);
+  }
+
+  /**
+   * Generate a single-use token and store its hash in the auth db
+   * @param purpose what the token can be used for
+   * @param username user the token is issued to
+   * @param data any JSON serializable value to store along with the token
+   * @param lifetime validity period of the token (in seconds)
+   */
+  async createOneTimeToken (purpose, username, data, lifetime) {
+    let token = OpaqueToken.generateToken();
+    await this.authDB.addOneTimeToken(OpaqueToken.hashToken(token), {
+      purpose: purpose,
+      username: username,
+      data: data,
+      expirationDate: Math.floor(Date.now() / 1000) + lifetime
+    });
+    await this.authDB.deleteExpiredOneTimeTokens();
+    return token;
+  }
+
+  /**
+   * Return the single-use token with the given value if it's meant for one
+   * of the given purposes and hasn't expired, null otherwise (the token is
+   * not consumed)
+   */
+  async findOneTimeToken (token, purposes) {
+    let oneTimeToken = await this.authDB.getOneTimeToken(OpaqueToken.hashToken(token));
+    if (!oneTimeToken || purposes.indexOf(oneTimeToken.purpose) < 0 ||
+        oneTimeToken.expirationDate < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return oneTimeToken;
+  }
+
+  /**
+   * Email a single-use token (as a link, if url is provided)
+   * @param to recipient
+   * @param subject
+   * @param intro beginning of the message, to be followed by 'visit the
+   * following link' or 'use the following token'
+   * @param url URL the token is appended to (optional)
+   * @param token
+   * @param lifetime validity period of the token (in seconds)
+   */
+  async sendTokenMail (to, subject, intro, url, token, lifetime) {
+    let lines;
+    if (url) {
+      lines = [intro + 'visit the following link:', '',
+        oauth.buildRedirectURL(url, {token: token})];
+    } else {
+      lines = [intro + 'use the following token:', '', token];
+    }
+    lines.push('', 'The ' + (url ? 'link' : 'token') + ' expires in ' +
+      Math.round(lifetime / 60) + ' minutes. If you did not make this ' +
+      'request, you can ignore this email.');
+    await this.mailer.sendMail({
+      to: to,
+      subject: subject,
+      text: lines.join('\n')
+    });
+  }
+
+  resetPassword () {
+    let router = express.Router();
+    router.post('/', bodyParser.json(), this.resetPasswordParsedRequest());
+    return router;
+  }
+
+  /**
+   * Assign a new password to a user using a token sent by /forgot-password
+   */
+  resetPasswordParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      let oneTimeToken = await this.findOneTimeToken(req.body.token, ['password-reset']);
+      let username = null;
+      if (oneTimeToken && await this.authDB.hasUser(oneTimeToken.username)) {
+        username = oneTimeToken.username;
+      }
+      if (!username) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+      // the token is only consumed by a valid password, so that the user can
+      // try again
+      let failedRules = await this.passwordPolicy.validate(username, req.body.password);
+      if (failedRules.length > 0) {
+        return sendPasswordPolicyViolation(res, failedRules);
+      }
+      if (!(await this.authDB.consumeOneTimeToken(oneTimeToken.tokenHash))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      let success = true;
+      try {
+        await this.changeUserPassword(username, req.body.password);
+        // any other link sent to the user is now useless
+        await this.authDB.deleteUserOneTimeTokens(username, 'password-reset');
+        // the user has proved they own the account
+        if (this.loginThrottle) {
+          await this.loginThrottle.unlock(username);
         }
-        throw new Error('Forbidden');
       } catch (e) {
-        res.status(403).json({
+        success = false;
+      }
+      await this.auditEvent(req, 'password-reset', {
+        actor: username,
+        target: username,
+        success: success
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Change the email of the user making the request. If a mailer is
+   * configured, the new email only replaces the current one once it's been
+   * confirmed through the link sent to it (see verifyEmail)
+   */
+  setUserEmail () {
+    return wrapAsync(async (req, res) => {
+      let username = req.params.username;
+      let email = req.body.email;
+      try {
+        let decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+          this.middlewareOptions());
+        if (decodedToken.serviceAccount || decodedToken.username !== username) {
+          // the user making the request has to match the user whose email
+          // we are trying to change
+          throw new Error('Forbidden');
+        }
+      } catch (e) {
+        return res.status(409).json({
+          success: false
+        });
+      }
+      if (email === await this.authDB.getUserEmail(username)) {
+        return res.json({
+          success: true
+        });
+      }
+      if (email && !this.mailer) {
+        // the new email couldn't be confirmed: it's up to admins to set it
+        return res.status(501).json({
+          success: false,
+          message: 'Email change is not available'
+        });
+      }
+      if (email) {
+        // only the latest change can be confirmed
+        await this.authDB.deleteUserOneTimeTokens(username, 'email-change');
+        let token = await this.createOneTimeToken('email-change', username,
+          {email: String(email)}, this.config.emailVerificationTokenLifetime);
+        try {
+          await this.sendTokenMail(String(email), 'Confirm your email',
+            'A change of the email of the account ' + username + ' to this ' +
+            'address has been requested.\nTo confirm it, ',
+            this.config.emailVerificationURL, token,
+            this.config.emailVerificationTokenLifetime);
+        } catch (e) {
+          this.logger.error('Cannot send email confirmation to ' + username +
+            ': ' + e.message);
+          return res.status(502).json({
+            success: false,
+            message: 'Cannot send email'
+          });
+        }
+        await this.auditEvent(req, 'user-email-change-request', {
+          actor: username,
+          target: username
+        });
+        return res.status(202).json({
+          success: true,
+          confirmationRequired: true
+        });
+      }
+
+      let before = await this.getUserSnapshot(username);
+      let success = true;
+      try {
+        await this.authDB.setUserEmail(username, email);
+      } catch (e) {
+        success = false;
+      }
+      await this.auditEvent(req, 'user-email-change', {
+        actor: username,
+        target: username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(username)
+      });
+      res.status(success ? 200 : 409).json({
+        success: success
+      });
+    });
+  }
+
+  /**
+   * Send a link to the email of the user making the request, to prove they
+   * own it
+   */
+  requestEmailVerification () {
+    return wrapAsync(async (req, res) => {
+      let username = req.params.username;
+      try {
+        let decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+          this.middlewareOptions());
+        if (decodedToken.serviceAccount || decodedToken.username !== username) {
+          throw new Error('Forbidden');
+        }
+      } catch (e) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+      if (!this.mailer) {
+        return res.status(501).json({
+          success: false,
+          message: 'Email verification is not available'
+        });
+      }
+      let user = await this.authDB.getUser(username);
+      if (!user.email || user.emailVerified) {
+        return res.status(409).json({
+          success: false,
+          message: user.email ? 'Email already verified' : 'No email to verify'
+        });
+      }
+      try {
+        await this.sendEmailVerification(username, user.email);
+      } catch (e) {
+        this.logger.error('Cannot send email verification to ' + username +
+          ': ' + e.message);
+        return res.status(502).json({
+          success: false,
+          message: 'Cannot send email'
+        });
+      }
+      res.json({
+        success: true
+      });
+    });
+  }
+
+  /**
+   * Send a verification token to the email of a user (replacing any
+   * previous one)
+   * @param username
+   * @param email
+   * @param activate whether verifying the email completes the registration of
+   *   the user (see registerUser)
+   */
+  async sendEmailVerification (username, email, activate = false) {
+    await this.authDB.deleteUserOneTimeTokens(username, 'email-verification');
+    let token = await this.createOneTimeToken('email-verification', username,
+      {email: email, activate: activate}, this.config.emailVerificationTokenLifetime);
+    await this.sendTokenMail(email, 'Verify your email',
+      'To verify the email of the account ' + username + ', ',
+      this.config.emailVerificationURL, token,
+      this.config.emailVerificationTokenLifetime);
+  }
+
+  verifyEmail () {
+    let router = express.Router();
+    router.post('/', bodyParser.json(), this.verifyEmailParsedRequest());
+    return router;
+  }
+
+  /**
+   * Consume a token sent by requestEmailVerification (marking the email as
+   * verified) or by setUserEmail (replacing the email of the user)
+   */
+  verifyEmailParsedRequest () {
+    return wrapAsync(async (req, res) => {
+      let oneTimeToken = await this.findOneTimeToken(req.body.token,
+        ['email-verification', 'email-change']);
+      // a verification token is useless once the email has changed
+      if (!oneTimeToken ||
+          !(await this.authDB.hasUser(oneTimeToken.username)) ||
+          (oneTimeToken.purpose === 'email-verification' &&
+            (await this.authDB.getUser(oneTimeToken.username)).email !== oneTimeToken.data.email) ||
+          !(await this.authDB.consumeOneTimeToken(oneTimeToken.tokenHash))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+      let username = oneTimeToken.username;
+      let before = await this.getUserSnapshot(username);
+      if (oneTimeToken.purpose === 'email-change') {
+        await this.authDB.setUserEmail(username, oneTimeToken.data.email, true);
+        await this.authDB.deleteUserOneTimeTokens(username, 'email-verification');
+      } else {
+        await this.authDB.setUserEmailVerified(username, true);
+        if (oneTimeToken.data.activate) {
+          await this.completeRegistration(username);
+        }
+      }
+      await this.auditEvent(req, oneTimeToken.purpose === 'email-change'
+        ? 'user-email-change' : 'user-email-verify', {
+        actor: username,
+        target: username,
+        before: before,
+        after: await this.getUserSnapshot(username)
+      });
+      res.json({
+        success: true,
+        email: oneTimeToken.data.email
+      });
+    });
+  }
+
+  register (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.use('/', bodyParser.json());
+    router.post('/', this.registerUser());
+    router.post('/invites', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addInvite());
+    return router;
+  }
+
+  /**
+   * Self-service registration, subject to the registration options
+   */
+  registerUser () {
+    return wrapAsync(async (req, res) => {
+      let options = this.config.registration;
+      let username = req.body.username;
+      let password = req.body.password;
+      let email = req.body.email ? String(req.body.email) : '';
+      if (options.verifyRequest && !(await options.verifyRequest(req))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification failed'
+        });
+      }
+      if (typeof username !== 'string' || !username) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid username'
+        });
+      }
+      let invite = null;
+      if (options.mode === 'invite') {
+        invite = req.body.inviteCode
+          ? await this.findOneTimeToken(String(req.body.inviteCode), ['invite']) : null;
+        // invites can be restricted to a single email
+        if (!invite || (invite.data.email && invite.data.email !== email)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Invalid invite code'
+          });
+        }
+      } else if (options.mode === 'domain') {
+        let domain = email.indexOf('@') >= 0
+          ? email.substr(email.lastIndexOf('@') + 1).toLowerCase() : null;
+        if (!domain || options.allowedEmailDomains
+          .map((allowedDomain) => allowedDomain.toLowerCase()).indexOf(domain) < 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'Email domain not allowed'
+          });
+        }
+      }
+      let failedRules = await this.passwordPolicy.validate(username, password);
+      if (failedRules.length > 0) {
+        return sendPasswordPolicyViolation(res, failedRules);
+      }
+      let attributes = req.body.attributes || {};
+      let failedAttributes = this.attributeSchema.validate(attributes,
+        {create: true});
+      if (failedAttributes.length > 0) {
+        return sendAttributeViolation(res, failedAttributes);
+      }
+      // check before using up the invite
+      if (await this.authDB.hasUser(username)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Username already taken'
+        });
+      }
+      if (invite && !(await this.authDB.consumeOneTimeToken(invite.tokenHash))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid invite code'
+        });
+      }
+
+      // in domain mode the email has to be verified first: until then the
+      // user can't log in and doesn't get the default group
+      let emailVerificationRequired = options.mode === 'domain';
+      let status = options.requireApproval || emailVerificationRequired
+        ? 'pending' : 'active';
+      if (!(await this.authDB.addUser(username, password, status))) {
+        return res.status(409).json({
           success: false,
-          message: 'Forbidden'
+          message: 'Username already taken'
         });
       }
+      await this.passwordPolicy.recordPassword(username, password);
+      await this.authDB.setUserAttributes(username, attributes);
+      if (email) {
+        await this.authDB.setUserEmail(username, email);
+      }
+      if (req.body.firstName) {
+        await this.authDB.setUserFirstName(username, String(req.body.firstName));
+      }
+      if (req.body.lastName) {
+        await this.authDB.setUserLastName(username, String(req.body.lastName));
+      }
+      if (options.defaultGroup && !emailVerificationRequired) {
+        await this.addUserToDefaultGroup(username);
+      }
+      await this.auditEvent(req, 'user-register', {
+        actor: username,
+        target: username,
+        after: await this.getUserSnapshot(username)
+      });
+      if (email && this.mailer) {
+        this.sendEmailVerification(username, email, emailVerificationRequired)
+          .catch((e) => this.logger.error('Cannot send email verification to ' +
+            username + ': ' + e.message));
+      }
+      let response = {
+        success: true,
+        username: username,
+        status: status
+      };
+      if (emailVerificationRequired) {
+        response.emailVerificationRequired = true;
+      }
+      res.status(201).json(response);
     });
   }
 
-  getUsernames () {
-    let router = express.Router();
-    router.get('/', wrapAsync(async (req, res) => {
-      res.json(await this.authDB.getUsernames());
-    }));
-    return router;
+  /**
+   * Add a registered user to the default group of the registration options
+   * (creating it if it doesn't exist)
+   */
+  async addUserToDefaultGroup (username) {
+    let defaultGroup = this.config.registration.defaultGroup;
+    if ((await this.authDB.getGroups()).indexOf(defaultGroup) < 0) {
+      await this.authDB.addGroup(defaultGroup);
+    }
+    await this.authDB.addUserToGroup(username, defaultGroup);
   }
 
-  getUsers () {
-    return wrapAsync(async (req, res) => {
-      let success = true;
-      let users = {};
-      try {
-        users = await this.authDB.getUsers();
-      } catch (e) {
-        success = false;
-      }
-      res.status(success ? 200 : 409).json(users);
-    });
+  /**
+   * Complete the registration of a user registered in domain mode, once
+   * their email has been verified: they are activated (unless they also
+   * need the approval of an admin) and added to the default group
+   */
+  async completeRegistration (username) {
+    let options = this.config.registration;
+    if (!options) {
+      return;
+    }
+    if (!options.requireApproval &&
+        (await this.authDB.getUser(username)).status === 'pending') {
+      await this.authDB.setUserStatus(username, 'active');
+    }
+    if (options.defaultGroup) {
+      await this.addUserToDefaultGroup(username);
+    }
   }
 
-  getUser () {
+  /**
+   * Create an invite code allowing someone to register (if the registration
+   * mode is invite), optionally restricted to a single email
+   */
+  addInvite () {
     return wrapAsync(async (req, res) => {
-      let success = true;
-      let user = {};
-      try {
-        user = await this.authDB.getUser(req.params.username);
-      } catch (e) {
-        success = false;
-      }
-      res.status(success ? 200 : 409).json(user);
+      let email = req.body.email ? String(req.body.email) : null;
+      let lifetime = this.config.registration.inviteLifetime;
+      let inviteCode = await this.createOneTimeToken('invite', null,
+        {email: email}, lifetime);
+      await this.auditEvent(req, 'invite-create', {
+        target: email
+      });
+      res.json({
+        success: true,
+        inviteCode: inviteCode,
+        expirationDate: Math.floor(Date.now() / 1000) + lifetime
+      });
     });
   }
 
-  getGroups () {
-    return wrapAsync(async (req, res) => {
-      res.json(await this.authDB.getGroups());
-    });
+  /**
+   * Make sure a request to enroll in two-factor authentication is made by
+   * the user in the URL, using either an access token or the 'mfa-enrollment'
+   * challenge obtained from /authenticate (as a bearer token).
+   * Returns the challenge (see findOneTimeToken) if one was used, null
+   * otherwise
+   */
+  async verifyTOTPEnrollmentRequest (req) {
+    let username;
+    let challenge = null;
+    try {
+      let decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+        this.middlewareOptions());
+      username = decodedToken.serviceAccount ? null : decodedToken.username;
+    } catch (e) {
+      let parts = (req.get('Authorization') || '').split(' ');
+      if (parts.length >= 2 && parts[0].toLowerCase() === 'bearer') {
+        challenge = await this.findOneTimeToken(parts[1], ['mfa-enrollment']);
+      }
+      username = challenge ? challenge.username : null;
+    }
+    if (!username || username !== req.params.username) {
+      throw new Error('Forbidden');
+    }
+    return challenge;
   }
 
-  addUser () {
+  /**
+   * Generate a new TOTP secret for the user, which is only enabled once a
+   * valid code is posted to confirmTOTP
+   */
+  enrollTOTP () {
     return wrapAsync(async (req, res) => {
-      let success = true;
       try {
-        success = await this.authDB.addUser(req.body.username, req.body.password);
+        await this.verifyTOTPEnrollmentRequest(req);
       } catch (e) {
-        this.logger.error(e.message);
-        success = false;
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
       }
-      res.status(success ? 200 : 409).json({
-        success: success
+      let username = req.params.username;
+      let enrollment = await this.authDB.getTOTP(username);
+      if (enrollment && enrollment.enabled) {
+        // an admin has to reset it first
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+      let secret = totp.generateSecret();
+      await this.authDB.setTOTP(username, secret);
+      await this.auditEvent(req, 'user-totp-enroll', {
+        actor: username,
+        target: username
+      });
+      res.json({
+        success: true,
+        secret: secret,
+        otpauthUri: totp.buildOtpauthURI(secret, username, this.config.totpIssuer)
       });
     });
   }
 
-  deleteUser () {
+  /**
+   * Enable two-factor authentication, given a valid code generated with the
+   * secret returned by enrollTOTP. The response contains the recovery codes,
+   * which are never shown again.
+   * If the request was made with an 'mfa-enrollment' challenge, the response
+   * also contains the tokens the user was trying to obtain
+   */
+  confirmTOTP () {
     return wrapAsync(async (req, res) => {
-      let success = true;
+      let challenge;
       try {
-        success = await this.authDB.deleteUser(req.params.username);
+        challenge = await this.verifyTOTPEnrollmentRequest(req);
       } catch (e) {
-        success = false;
-        this.logger.error(e.message);
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
       }
-      res.status(success ? 200 : 409).json({
-        success: success
+      let username = req.params.username;
+      let enrollment = await this.authDB.getTOTP(username);
+      let step = enrollment && !enrollment.enabled
+        ? totp.verifyCode(enrollment.secret, req.body.code) : null;
+      if (step === null || !(await this.authDB.useTOTPStep(username, step))) {
+        await this.auditEvent(req, 'user-totp-confirm', {
+          actor: username,
+          target: username,
+          success: false
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid code'
+        });
+      }
+      // we only store the hashes of the recovery codes
+      let recoveryCodes = [];
+      let recoveryCodeHashes = [];
+      for (let i = 0; i < recoveryCodeCount; i++) {
+        let recoveryCode = OpaqueToken.generateToken(5);
+        recoveryCodes.push(recoveryCode);
+        recoveryCodeHashes.push(OpaqueToken.hashToken(recoveryCode));
+      }
+      await this.authDB.enableTOTP(username, recoveryCodeHashes);
+      await this.auditEvent(req, 'user-totp-confirm', {
+        actor: username,
+        target: username,
+        before: {totpEnabled: false},
+        after: {totpEnabled: true}
       });
+
+      let response = {
+        success: true,
+        recoveryCodes: recoveryCodes
+      };
+      if (challenge && await this.authDB.consumeOneTimeToken(challenge.tokenHash)) {
+        await this.auditLogin(req, username, true);
+        response = Object.assign(await this.issueTokens(username), response);
+      }
+      res.json(response);
     });
   }
 
-  addGroup () {
+  /**
+   * Remove the lockout caused by too many failed login attempts for a user
+   * (and, optionally, for an IP)
+   */
+  unlockUser () {
     return wrapAsync(async (req, res) => {
-      let success = await this.authDB.addGroup(req.body.group);
-      res.status(success ? 200 : 409).json({
+      let success = false;
+      if (this.loginThrottle) {
+        success = await this.loginThrottle.unlock(req.params.username,
+          req.body ? req.body.ip : undefined);
+      }
+      await this.auditEvent(req, 'user-unlock', {
+        target: req.params.username,
         success: success
       });
-    });
-  }
-
-  deleteGroup () {
-    return wrapAsync(async (req, res) => {
-      let success = await this.authDB.deleteGroup(req.params.group);
       res.status(success ? 200 : 409).json({
         success: success
       });
     });
   }
 
-  addUserToGroup () {
+  /**
+   * Allow a user who registered while approval was required to log in
+   */
+  approveUser () {
     return wrapAsync(async (req, res) => {
-      let success = await this.authDB.addUserToGroup(req.params.username, req.body.group);
+      let before = await this.getUserSnapshot(req.params.username);
+      let success = Boolean(before) && before.status === 'pending';
+      if (success) {
+        await this.authDB.setUserStatus(req.params.username, 'active');
+      }
+      await this.auditEvent(req, 'user-approve', {
+        target: req.params.username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(req.params.username)
+      });
       res.status(success ? 200 : 409).json({
         success: success
       });
     });
   }
 
-  removeUserFromGroup () {
+  /**
+   * Disable two-factor authentication for a user (e.g. because they lost
+   * their device and their recovery codes)
+   */
+  resetTOTP () {
     return wrapAsync(async (req, res) => {
-      let success = await this.authDB.removeUserFromGroup(req.params.username, req.params.group);
+      let before = await this.getUserSnapshot(req.params.username);
+      let success = await this.authDB.deleteTOTP(req.params.username);
+      await this.auditEvent(req, 'user-totp-reset', {
+        target: req.params.username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(req.params.username)
+      });
       res.status(success ? 200 : 409).json({
         success: success
       });
     });
   }
 
-  setUserPassword () {
+  updateUser () {
     return wrapAsync(async (req, res) => {
-      let username = req.params.username;
-      let oldPassword = req.body.oldPassword;
-      let newPassword = req.body.newPassword;
-      try {
-        let success = await this.authDB.authenticateUser(username, oldPassword);
-        if (!success) {
-          // invalid username or password. all other errors should throw
-          // an exception and are catched by the next block
-          res.status(401).json({
-            success: false
-          });
-          return;
+      if (typeof req.body.attributes !== 'undefined') {
+        let failedAttributes = this.attributeSchema.validate(req.body.attributes,
+          {admin: true});
+        if (failedAttributes.length > 0) {
+          return sendAttributeViolation(res, failedAttributes);
         }
-      } catch (e) {
-        // some error occurred while authenticating the user
-        this.logger.error(e.message);
-        return res.status(401).json({
-          success: false
-        });
       }
-
       let success = true;
+      let username = req.params.username;
+      let before = await this.getUserSnapshot(username);
       try {
-        await this.authDB.setUserPassword(username, newPassword);
+        if (username !== req.body.username) {
+          await this.authDB.renameUser(username, req.body.username);
+          // tokens carry the old username, which someone else may get
+          await this.revokeAllUserTokens(username);
+          username = req.body.username;
+        }
+        if (req.body.firstName) {
+          await this.authDB.setUserFirstName(username, req.body.firstName);
+        }
+        if (req.body.lastName) {
+          await this.authDB.setUserLastName(username, req.body.lastName);
+        }
+        // admins can mark emails as verified, otherwise a new email is not
+        if (req.body.email &&
+            req.body.email !== await this.authDB.getUserEmail(username)) {
+          await this.authDB.setUserEmail(username, req.body.email,
+            Boolean(req.body.emailVerified));
+        } else if (typeof req.body.emailVerified === 'boolean') {
+          await this.authDB.setUserEmailVerified(username, req.body.emailVerified);
+        }
+        if (req.body.groups) {
+          await this.authDB.setUserGroups(username, req.body.groups);
+        }
+        if (req.body.attributes) {
+          await this.authDB.setUserAttributes(username, req.body.attributes);
+        }
       } catch (e) {
         success = false;
       }
+      await this.auditEvent(req, 'user-update', {
+        target: req.params.username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(username)
+      });
       res.status(success ? 200 : 409).json({
         success: success
       });
     });
   }
 
-  resetUserPassword () {
+  /**
+   * Change some custom attributes of a user. Users can change their own
+   * attributes, except the admin only ones, while admins can change any
+   * attribute of any user
+   */
+  updateUserAttributes (adminGroups) {
     return wrapAsync(async (req, res) => {
       let username = req.params.username;
-      let password = req.body.password;
-
+      let admin;
+      try {
+        let decodedToken = await verifyRequestToken(req, this.jwtVerificationKey,
+          this.middlewareOptions());
+        admin = (await SaintPeter.getTokenSubjectGroups(decodedToken, this.authDB))
+          .some((group) => adminGroups.indexOf(group) >= 0);
+        if (!admin && (decodedToken.serviceAccount || decodedToken.username !== username)) {
+          throw new Error('Forbidden');
+        }
+      } catch (e) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden'
+        });
+      }
+      let failedAttributes = this.attributeSchema.validate(req.body,
+        {admin: admin});
+      if (failedAttributes.length > 0) {
+        return sendAttributeViolation(res, failedAttributes);
+      }
+      let before = await this.getUserSnapshot(username);
       let success = true;
       try {
-        await this.authDB.setUserPassword(username, password);
+        await this.authDB.setUserAttributes(username, req.body);
       } catch (e) {
         success = false;
       }
+      await this.auditEvent(req, 'user-attributes-update', {
+        target: username,
+        success: success,
+        before: before,
+        after: await this.getUserSnapshot(username)
+      });
       res.status(success ? 200 : 409).json({
         success: success
       });
     });
   }
 
-  setUserEmail () {
+  /**
+   * Import users from a JSON array or from CSV (with the text/csv content
+   * type). With the query parameter dryRun=true users are only validated
+   */
+  importUsers () {
     return wrapAsync(async (req, res) => {
-      let success = true;
-      try {
-        let decodedToken = await jwt.decodeTokenHeader(req, this.config.jwtSecret, jwtVerifyOptions);
-        if (decodedToken.username !== req.params.username) {
-          // the user making the request has to match the user whose password
-          // we are trying to change
-          throw new Error('Forbidden');
+      let users = req.body;
+      if (typeof users === 'string') {
+        try {
+          users = this.userRecords.parseCSV(users);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid CSV: ' + e.message
+          });
         }
-        await this.authDB.setUserEmail(req.params.username, req.body.email);
+      }
+      let report;
+      try {
+        report = await this.userRecords.importUsers(users, {
+          dryRun: req.query.dryRun === 'true',
+          maxPasswords: importPasswordLimit
+        });
       } catch (e) {
-        success = false;
+        this.logger.error(e.message);
+        await this.auditEvent(req, 'users-import', {success: false});
+        return res.status(409).json({
+          success: false
+        });
       }
-      res.status(success ? 200 : 409).json({
-        success: success
-      });
+      if (!report.success) {
+        return res.status(400).json(Object.assign({
+          message: 'Some users are not valid'
+        }, report));
+      }
+      if (!report.dryRun) {
+        await this.auditEvent(req, 'users-import', {
+          success: true,
+          after: {
+            created: report.created,
+            updated: report.updated
+          }
+        });
+      }
+      res.json(report);
     });
   }
 
-  updateUser () {
+  /**
+   * Export users as a JSON array or, with the query parameter format=csv, as
+   * CSV. Password hashes are only included with the query parameter
+   * passwordHashes=true
+   */
+  exportUsers () {
     return wrapAsync(async (req, res) => {
-      let success = true;
-      let username = req.params.username;
-      try {
-        if (username !== req.body.username) {
-          await this.authDB.renameUser(username, req.body.username);
-          username = req.body.username;
-        }
-        if (req.body.firstName) {
-          await this.authDB.setUserFirstName(username, req.body.firstName);
-        }
-        if (req.body.lastName) {
-          await this.authDB.setUserLastName(username, req.body.lastName);
-        }
-        if (req.body.email) {
-          await this.authDB.setUserEmail(username, req.body.email);
-        }
-        if (req.body.groups) {
-          await this.authDB.setUserGroups(username, req.body.groups);
-        }
-      } catch (e) {
-        success = false;
+      let format = req.query.format || 'json';
+      if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid format'
+        });
       }
-      res.status(success ? 200 : 409).json({
-        success: success
+      let passwordHashes = req.query.passwordHashes === 'true';
+      let users = await this.userRecords.exportUsers({passwordHashes: passwordHashes});
+      await this.auditEvent(req, 'users-export', {
+        success: true,
+        after: {
+          passwordHashes: passwordHashes
+        }
       });
+      if (format === 'csv') {
+        return res.type('text/csv').send(this.userRecords.formatCSV(users));
+      }
+      res.json(users);
     });
   }
 
   users (adminGroups = ['admin']) {
     let router = express.Router();
+    // registered first, so that they get a larger body size limit and
+    // aren't taken for usernames
+    router.post('/import', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()),
+      bodyParser.json({limit: importSizeLimit}),
+      bodyParser.text({type: 'text/csv', limit: importSizeLimit}), this.importUsers());
+    router.get('/export', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.exportUsers());
     router.use('/', bodyParser.json());
     if (this.config.userListVisibility === 'public') {
       router.get('/', this.getUsers());
     } else if (this.config.userListVisibility === 'authenticated') {
-      router.get('/', SaintPeter.requireAuthentication(this.config.jwtSecret), this.getUsers());
+      router.get('/', SaintPeter.requireAuthentication(this.jwtVerificationKey, this.middlewareOptions()), this.getUsers());
     } else {
-      router.get('/', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.getUsers());
-    }
-    router.post('/', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.addUser());
-    router.get('/:username', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.getUser());
-    router.delete('/:username', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.deleteUser());
-    router.patch('/:username', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.updateUser());
-    router.post('/:username/groups', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.addUserToGroup());
-    router.delete('/:username/groups/:group', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.removeUserFromGroup());
+      router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getUsers());
+    }
+    router.post('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addUser());
+    router.get('/:username', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getUser());
+    router.delete('/:username', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.deleteUser());
+    router.patch('/:username', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.updateUser());
+    router.patch('/:username/attributes', this.updateUserAttributes(adminGroups));
+    router.get('/:username/groups', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getUserGroups());
+    router.post('/:username/groups', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addUserToGroup());
+    router.delete('/:username/groups/:group', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.removeUserFromGroup());
     router.put('/:username/email', this.setUserEmail());
+    router.post('/:username/email/verify', this.requestEmailVerification());
     router.put('/:username/password', this.setUserPassword());
-    router.put('/:username/reset-password', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.resetUserPassword());
+    router.put('/:username/reset-password', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.resetUserPassword());
+    router.post('/:username/revoke-tokens', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.revokeUserTokens());
+    router.post('/:username/unlock', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.unlockUser());
+    router.post('/:username/approve', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.approveUser());
+    router.post('/:username/totp', this.enrollTOTP());
+    router.post('/:username/totp/confirm', this.confirmTOTP());
+    router.delete('/:username/totp', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.resetTOTP());
     return router;
   }
 
@@ -527,14 +3326,92 @@ class SaintPeter {
     router.use('/', bodyParser.json());
     if (this.config.groupListVisibility === 'public') {
       router.get('/', this.getGroups());
-    } else if (this.config.userListVisibility === 'authenticated') {
-      router.get('/', SaintPeter.requireAuthentication(this.config.jwtSecret), this.getGroups());
+    } else if (this.config.groupListVisibility === 'authenticated') {
+      router.get('/', SaintPeter.requireAuthentication(this.jwtVerificationKey, this.middlewareOptions()), this.getGroups());
     } else {
-      router.get('/', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.getGroups());
+      router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getGroups());
     }
-    router.get('/', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.getGroups());
-    router.post('/', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.addGroup());
-    router.delete('/:group', SaintPeter.allowGroups(adminGroups, this.config.jwtSecret), this.deleteGroup());
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getGroups());
+    router.post('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addGroup());
+    router.get('/hierarchy', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getGroupHierarchy());
+    router.delete('/:group', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.deleteGroup());
+    router.get('/:group/subgroups', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getSubgroups());
+    router.post('/:group/subgroups', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addSubgroup());
+    router.delete('/:group/subgroups/:subgroup', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.removeSubgroup());
+    router.get('/:group/permissions', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getGroupPermissions());
+    router.post('/:group/permissions', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addGroupPermission());
+    router.delete('/:group/permissions/:permission', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.removeGroupPermission());
+    return router;
+  }
+
+  permissions (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getPermissions());
+    return router;
+  }
+
+  /**
+   * Query the audit log. The query parameters user, action, since, until
+   * (UNIX time), limit and offset are all optional
+   */
+  getAuditRecords () {
+    return wrapAsync(async (req, res) => {
+      let filters = {};
+      for (let name of ['user', 'action']) {
+        if (req.query[name]) {
+          filters[name] = String(req.query[name]);
+        }
+      }
+      for (let name of ['since', 'until', 'limit', 'offset']) {
+        if (typeof req.query[name] !== 'undefined') {
+          let value = Number(req.query[name]);
+          if (!Number.isInteger(value) || value < 0) {
+            return res.status(400).json({
+              success: false,
+              message: 'Invalid ' + name
+            });
+          }
+          filters[name] = value;
+        }
+      }
+      filters.limit = Math.min(filters.limit || 100, 1000);
+      res.json(await this.auditLog.query(filters));
+    });
+  }
+
+  audit (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getAuditRecords());
+    return router;
+  }
+
+  keys (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getSigningKeys());
+    router.post('/rotate', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.rotateSigningKeys());
+    return router;
+  }
+
+  clients (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.use('/', bodyParser.json());
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getClients());
+    router.post('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addClient());
+    router.get('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getClient());
+    router.patch('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.updateClient());
+    router.delete('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.deleteClient());
+    return router;
+  }
+
+  serviceAccounts (adminGroups = ['admin']) {
+    let router = express.Router();
+    router.use('/', bodyParser.json());
+    router.get('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getServiceAccounts());
+    router.post('/', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.addServiceAccount());
+    router.get('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getServiceAccount());
+    router.patch('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.updateServiceAccount());
+    router.delete('/:clientId', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.deleteServiceAccount());
+    router.post('/:clientId/rotate-secret', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.rotateServiceAccountSecret());
     return router;
   }
 
@@ -542,9 +3419,28 @@ class SaintPeter {
     let router = express.Router();
     router.use('/authenticate', this.authenticate());
     router.use('/renew-token', this.renewToken());
-    router.use('/users', this.users());
-    router.use('/groups', this.groups());
-    router.use('/usernames', SaintPeter.allowGroups(adminGroups, this.config.jwtToken), this.getUsernames());
+    router.use('/logout', this.logout());
+    router.use('/forgot-password', this.forgotPassword());
+    router.use('/reset-password', this.resetPassword());
+    router.use('/verify-email', this.verifyEmail());
+    if (this.config.registration) {
+      router.use('/register', this.register(adminGroups));
+    }
+    router.use('/.well-known/jwks.json', this.jwks());
+    router.use('/users', this.users(adminGroups));
+    router.use('/groups', this.groups(adminGroups));
+    router.use('/permissions', this.permissions(adminGroups));
+    router.use('/keys', this.keys(adminGroups));
+    if (this.auditLog) {
+      router.use('/audit', this.audit(adminGroups));
+    }
+    router.use('/clients', this.clients(adminGroups));
+    router.use('/service-accounts', this.serviceAccounts(adminGroups));
+    router.use('/authorize', this.authorize());
+    router.use('/token', this.token());
+    router.use('/userinfo', this.userinfo());
+    router.use('/.well-known/openid-configuration', this.openidConfiguration());
+    router.use('/usernames', SaintPeter.allowGroups(adminGroups, this.jwtVerificationKey, this.middlewareOptions()), this.getUsernames());
     return router;
   }
 }
@@ -1,5 +1,22 @@
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
 var jwt = require('jsonwebtoken');
 
+// algorithms that can be used to sign tokens, along with the type of key
+// each of them requires
+var supportedAlgorithms = {
+  HS256: 'secret',
+  RS256: 'rsa',
+  ES256: 'ec'
+};
+
+// JWK key type corresponding to each asymmetric key type
+var jwkKeyTypes = {
+  rsa: 'RSA',
+  ec: 'EC'
+};
+
 /**
  * This is a wrapper for jwt.verify(...) that returns a promise
  * and takes its same arguments (except for the callback)
@@ -65,6 +82,250 @@ function encodeToken (token, jwtSecret, options) {
   });
 }
 
+/**
+ * Compute the thumbprint of a JWK as described in RFC 7638.
+ * We use it as the kid of our keys
+ * @param jwk the public JWK
+ */
+function jwkThumbprint (jwk) {
+  let members;
+  if (jwk.kty === 'RSA') {
+    members = {e: jwk.e, kty: jwk.kty, n: jwk.n};
+  } else if (jwk.kty === 'EC') {
+    members = {crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y};
+  } else {
+    throw new Error('Unsupported JWK key type: ' + jwk.kty);
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(members))
+    .digest('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Compute the kid of a secret. Secrets are never published, but their tokens
+ * still need a kid so that the right key can be picked for verification
+ * @param secret
+ */
+function secretKid (secret) {
+  return crypto.createHash('sha256').update('kid:' + secret).digest('base64')
+    .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_').substr(0, 16);
+}
+
+/**
+ * Build the public JWK of a key
+ * @param publicKey PEM encoded public key
+ * @param algorithm algorithm the key is used with
+ * @param kid key id
+ */
+function publicKeyToJWK (publicKey, algorithm, kid) {
+  let jwk = crypto.createPublicKey(publicKey).export({format: 'jwk'});
+  return Object.assign(jwk, {kid: kid, alg: algorithm, use: 'sig'});
+}
+
+/**
+ * Load the key used to sign tokens.
+ * Returns an object containing the following fields:
+ * - algorithm: the algorithm used to sign tokens
+ * - kid: key id
+ * - signingKey: secret or PEM encoded private key used to sign tokens
+ * - verificationKey: secret or PEM encoded public key used to verify tokens
+ * - jwk: public JWK (null for secrets, which are never published)
+ * @param options object containing the following fields:
+ * - secret: secret used to sign tokens with HS256 (ignored if privateKey is
+ *   provided)
+ * - privateKey: PEM encoded RSA or EC (P-256) private key
+ * - publicKey: PEM encoded public key (derived from privateKey if missing)
+ * - algorithm: one of HS256, RS256, ES256 (inferred from the key if missing)
+ */
+function loadSigningKey (options) {
+  if (!options.privateKey) {
+    if (!options.secret) {
+      throw new Error('No jwtSecret or jwtPrivateKey provided');
+    }
+    if (options.algorithm && options.algorithm !== 'HS256') {
+      throw new Error('Algorithm ' + options.algorithm + ' requires a private key');
+    }
+    return {
+      algorithm: 'HS256',
+      kid: secretKid(options.secret),
+      signingKey: options.secret,
+      verificationKey: options.secret,
+      jwk: null
+    };
+  }
+
+  let privateKey = crypto.createPrivateKey(options.privateKey);
+  let keyType = privateKey.asymmetricKeyType;
+  if (!(keyType in jwkKeyTypes)) {
+    throw new Error('Unsupported private key type: ' + keyType);
+  }
+  let algorithm = options.algorithm || (keyType === 'rsa' ? 'RS256' : 'ES256');
+  if (supportedAlgorithms[algorithm] !== keyType) {
+    throw new Error('Algorithm ' + algorithm + ' can\'t be used with ' +
+      keyType + ' keys');
+  }
+  if (keyType === 'ec' && privateKey.asymmetricKeyDetails &&
+      privateKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error('ES256 requires a P-256 key');
+  }
+  let publicKey = crypto.createPublicKey(options.publicKey || privateKey)
+    .export({type: 'spki', format: 'pem'});
+  let kid = jwkThumbprint(crypto.createPublicKey(publicKey).export({format: 'jwk'}));
+  return {
+    algorithm: algorithm,
+    kid: kid,
+    signingKey: privateKey.export({type: 'pkcs8', format: 'pem'}),
+    verificationKey: publicKey,
+    jwk: publicKeyToJWK(publicKey, algorithm, kid)
+  };
+}
+
+/**
+ * Generate a new random key to be used with the given algorithm.
+ * Returns a promise resolving to an object like the one returned by
+ * loadSigningKey
+ * @param algorithm one of HS256, RS256, ES256
+ */
+function generateSigningKey (algorithm) {
+  return new Promise((resolve, reject) => {
+    if (algorithm === 'HS256') {
+      return resolve(loadSigningKey({
+        secret: crypto.randomBytes(64).toString('base64')
+      }));
+    }
+    if (!(algorithm in supportedAlgorithms)) {
+      return reject(new Error('Unsupported algorithm: ' + algorithm));
+    }
+    let keyType = supportedAlgorithms[algorithm];
+    let keyOptions = keyType === 'rsa' ? {modulusLength: 2048} : {namedCurve: 'P-256'};
+    crypto.generateKeyPair(keyType, keyOptions, (err, publicKey, privateKey) => {
+      if (err) {
+        return reject(err);
+      }
+      try {
+        resolve(loadSigningKey({
+          privateKey: privateKey.export({type: 'pkcs8', format: 'pem'}),
+          algorithm: algorithm
+        }));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+/**
+ * Fetch and parse a JSON document
+ * @param url http or https URL of the document
+ */
+function fetchJSON (url) {
+  return new Promise((resolve, reject) => {
+    let client = url.startsWith('https:') ? https : http;
+    let req = client.get(url, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          return reject(new Error('Unable to fetch ' + url + ': ' + res.statusCode));
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+    req.setTimeout(10000, () => req.abort());
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Return a function that can be passed to jwt.verify(...) instead of a key.
+ * The function picks the key to be used for verification from the JWKS
+ * published at the given URL, matching the kid in the token header.
+ * Keys are cached and fetched again when a token signed with an unknown key
+ * shows up (but no more than once every minRefreshInterval milliseconds)
+ * @param jwksUri URL of the JWKS (e.g. https://host/.well-known/jwks.json)
+ * @param options object containing the following (optional) fields:
+ * - minRefreshInterval: defaults to 30 seconds
+ */
+function createJWKSKeyResolver (jwksUri, options = {}) {
+  let minRefreshInterval = options.minRefreshInterval || 30 * 1000;
+  let keys = [];
+  let fetchDate = 0;
+  let pendingFetch = null;
+
+  let refreshKeys = () => {
+    if (!pendingFetch) {
+      pendingFetch = fetchJSON(jwksUri).then((jwks) => {
+        keys = jwks.keys || [];
+        fetchDate = Date.now();
+        pendingFetch = null;
+      }, (e) => {
+        pendingFetch = null;
+        throw e;
+      });
+    }
+    return pendingFetch;
+  };
+
+  let findKey = (header) => {
+    if (!header.kid) {
+      // without a kid we can only pick the key if there's just one
+      return keys.length === 1 ? keys[0] : null;
+    }
+    return keys.find((key) => key.kid === header.kid) || null;
+  };
+
+  let resolveKey = async (header) => {
+    let key = findKey(header);
+    if (!key && Date.now() - fetchDate > minRefreshInterval) {
+      await refreshKeys();
+      key = findKey(header);
+    }
+    if (!key) {
+      throw new Error('No key found for kid ' + header.kid);
+    }
+    // make sure the key is actually meant to be used with the algorithm
+    // claimed by the token
+    let keyType = supportedAlgorithms[header.alg];
+    if (!keyType || jwkKeyTypes[keyType] !== key.kty ||
+        (key.alg && key.alg !== header.alg)) {
+      throw new Error('Algorithm ' + header.alg + ' doesn\'t match the key');
+    }
+    return crypto.createPublicKey({key: key, format: 'jwk'})
+      .export({type: 'spki', format: 'pem'});
+  };
+
+  return (header, callback) => {
+    resolveKey(header).then((key) => callback(null, key), callback);
+  };
+}
+
+/**
+ * Return the algorithms that can be accepted when verifying a token with the
+ * given key. Secrets only allow HMAC and public keys only allow asymmetric
+ * algorithms (otherwise a public key could be used as an HMAC secret to forge
+ * tokens). Key resolvers are expected to perform this check on their own
+ * @param key secret, PEM encoded public key or key resolver function
+ */
+function getVerificationAlgorithms (key) {
+  if (typeof key === 'function') {
+    return Object.keys(supportedAlgorithms);
+  }
+  if (String(key).indexOf('-----BEGIN') >= 0) {
+    return ['RS256', 'ES256'];
+  }
+  return ['HS256'];
+}
+
 exports.decodeToken = decodeToken;
 exports.decodeTokenHeader = decodeTokenHeader;
 exports.encodeToken = encodeToken;
+exports.jwkThumbprint = jwkThumbprint;
+exports.publicKeyToJWK = publicKeyToJWK;
+exports.loadSigningKey = loadSigningKey;
+exports.generateSigningKey = generateSigningKey;
+exports.createJWKSKeyResolver = createJWKSKeyResolver;
+exports.getVerificationAlgorithms = getVerificationAlgorithms;
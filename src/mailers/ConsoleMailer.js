@@ -0,0 +1,26 @@
+/**
+ * Mailer logging messages instead of sending them, meant for development
+ */
+class ConsoleMailer {
+  /**
+   * @param options object containing the following (optional) fields:
+   * - logger: a logger that should provide the method info (defaults to
+   *   console)
+   * - from: sender of the messages
+   */
+  constructor (options = {}) {
+    this.logger = options.logger || console;
+    this.from = options.from;
+  }
+
+  /**
+   * Send a message
+   * @param message object containing the fields to, subject and text
+   */
+  async sendMail (message) {
+    this.logger.info('Mail to ' + message.to + ': ' + message.subject + '\n' +
+      message.text);
+  }
+}
+
+module.exports = ConsoleMailer;
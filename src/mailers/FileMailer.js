@@ -0,0 +1,42 @@
+var fs = require('fs');
+
+/**
+ * Mailer appending messages to a file (one JSON object per line) instead of
+ * sending them, meant for development and tests
+ */
+class FileMailer {
+  /**
+   * @param options object containing the following fields:
+   * - filename: file messages are appended to
+   * - from: sender of the messages
+   */
+  constructor (options) {
+    if (!options.filename) {
+      throw new Error('No mailer file provided');
+    }
+    this.filename = options.filename;
+    this.from = options.from;
+  }
+
+  /**
+   * Send a message
+   * @param message object containing the fields to, subject and text
+   */
+  sendMail (message) {
+    let line = JSON.stringify({
+      date: new Date().toISOString(),
+      from: this.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    }) + '\n';
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.filename, line, 'utf8', (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+module.exports = FileMailer;
@@ -0,0 +1,32 @@
+var SMTPMailer = require('./SMTPMailer');
+var FileMailer = require('./FileMailer');
+var ConsoleMailer = require('./ConsoleMailer');
+
+/**
+ * Create a mailer, i.e. an object providing the method
+ * sendMail({to, subject, text}), which returns a promise.
+ * @param options either a mailer (any object providing sendMail) or an object
+ * containing the field type (one of smtp, file, console) along with the
+ * options of the chosen mailer
+ * @param logger logger used by the console mailer
+ */
+function createMailer (options, logger) {
+  if (typeof options.sendMail === 'function') {
+    return options;
+  }
+  switch (options.type) {
+    case 'smtp':
+      return new SMTPMailer(options);
+    case 'file':
+      return new FileMailer(options);
+    case 'console':
+      return new ConsoleMailer(Object.assign({logger: logger}, options));
+    default:
+      throw new Error('Unknown mailer type: ' + options.type);
+  }
+}
+
+exports.createMailer = createMailer;
+exports.SMTPMailer = SMTPMailer;
+exports.FileMailer = FileMailer;
+exports.ConsoleMailer = ConsoleMailer;
@@ -0,0 +1,99 @@
+// Tables of the first versions of saint-peter
+module.exports = {
+  description: 'Create the users, groups and user_groups tables',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      email: {
+        type: Sequelize.STRING
+      },
+      first_name: {
+        type: Sequelize.STRING
+      },
+      last_name: {
+        type: Sequelize.STRING
+      },
+      password: {
+        type: Sequelize.STRING
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.createTable('groups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.createTable('user_groups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'users',
+          key: 'username'
+        }
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'groups',
+          key: 'groupname'
+        }
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      uniqueKeys: {
+        userGroup: {
+          fields: ['username', 'groupname'],
+          customIndex: true
+        }
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('user_groups');
+    await queryInterface.dropTable('groups');
+    await queryInterface.dropTable('users');
+  }
+};
@@ -0,0 +1,43 @@
+// Rotating refresh tokens
+module.exports = {
+  description: 'Create the refresh_tokens table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('refresh_tokens', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      token_hash: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      family: {
+        type: Sequelize.STRING
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      expiration_date: {
+        type: Sequelize.BIGINT
+      },
+      used: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('refresh_tokens');
+  }
+};
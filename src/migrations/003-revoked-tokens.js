@@ -0,0 +1,39 @@
+// Revocation of access tokens (logout)
+module.exports = {
+  description: 'Create the revoked_tokens table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('revoked_tokens', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      jti: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      revocation_date: {
+        type: Sequelize.BIGINT
+      },
+      expiration_date: {
+        type: Sequelize.BIGINT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('revoked_tokens');
+  }
+};
@@ -0,0 +1,46 @@
+// Keyring of the keys used to sign tokens
+module.exports = {
+  description: 'Create the signing_keys table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('signing_keys', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      kid: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      algorithm: {
+        type: Sequelize.STRING
+      },
+      signing_key: {
+        type: Sequelize.TEXT
+      },
+      verification_key: {
+        type: Sequelize.TEXT
+      },
+      current: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      expiration_date: {
+        type: Sequelize.BIGINT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('signing_keys');
+  }
+};
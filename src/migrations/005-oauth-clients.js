@@ -0,0 +1,83 @@
+// OpenID Connect provider (authorization code flow)
+module.exports = {
+  description: 'Create the clients and authorization_codes tables',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('clients', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      client_id: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING
+      },
+      redirect_uris: {
+        type: Sequelize.TEXT
+      },
+      secret_hash: {
+        type: Sequelize.STRING
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.createTable('authorization_codes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code_hash: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      client_id: {
+        type: Sequelize.STRING
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      redirect_uri: {
+        type: Sequelize.TEXT
+      },
+      scope: {
+        type: Sequelize.STRING
+      },
+      nonce: {
+        type: Sequelize.STRING
+      },
+      code_challenge: {
+        type: Sequelize.STRING
+      },
+      auth_time: {
+        type: Sequelize.BIGINT
+      },
+      expiration_date: {
+        type: Sequelize.BIGINT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('authorization_codes');
+    await queryInterface.dropTable('clients');
+  }
+};
@@ -0,0 +1,77 @@
+// Service accounts (client credentials grant)
+module.exports = {
+  description: 'Create the service_accounts and service_account_groups tables',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('service_accounts', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      client_id: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING
+      },
+      secret_hash: {
+        type: Sequelize.STRING
+      },
+      disabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.createTable('service_account_groups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      client_id: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'service_accounts',
+          key: 'client_id'
+        }
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'groups',
+          key: 'groupname'
+        }
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      uniqueKeys: {
+        serviceAccountGroup: {
+          fields: ['client_id', 'groupname'],
+          customIndex: true
+        }
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('service_account_groups');
+    await queryInterface.dropTable('service_accounts');
+  }
+};
@@ -0,0 +1,63 @@
+// TOTP two-factor authentication
+module.exports = {
+  description: 'Create the user_totp and recovery_codes tables',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('user_totp', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      secret: {
+        type: Sequelize.STRING
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      last_used_step: {
+        type: Sequelize.BIGINT,
+        defaultValue: 0
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.createTable('recovery_codes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      code_hash: {
+        type: Sequelize.STRING
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('recovery_codes');
+    await queryInterface.dropTable('user_totp');
+  }
+};
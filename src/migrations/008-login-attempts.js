@@ -0,0 +1,39 @@
+// Login throttling and lockout
+module.exports = {
+  description: 'Create the login_attempts table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('login_attempts', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      key: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      failures: {
+        type: Sequelize.INTEGER
+      },
+      last_failure_date: {
+        type: Sequelize.BIGINT
+      },
+      locked_until: {
+        type: Sequelize.BIGINT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('login_attempts');
+  }
+};
@@ -0,0 +1,32 @@
+// Password policy (previous passwords can't be reused)
+module.exports = {
+  description: 'Create the password_history table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('password_history', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      password_hash: {
+        type: Sequelize.STRING
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('password_history');
+  }
+};
@@ -0,0 +1,42 @@
+// Password reset links (and, later, the other tokens sent to users)
+module.exports = {
+  description: 'Create the one_time_tokens table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('one_time_tokens', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      token_hash: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      purpose: {
+        type: Sequelize.STRING
+      },
+      username: {
+        type: Sequelize.STRING
+      },
+      data: {
+        type: Sequelize.TEXT
+      },
+      expiration_date: {
+        type: Sequelize.BIGINT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('one_time_tokens');
+  }
+};
@@ -0,0 +1,21 @@
+var helpers = require('./helpers');
+
+// Email verification
+module.exports = {
+  description: 'Add the email_verified column to the users table',
+
+  async up (queryInterface, Sequelize) {
+    // databases created before migrations were introduced may already have it
+    if (!('email_verified' in (await queryInterface.describeTable('users')))) {
+      await queryInterface.addColumn('users', 'email_verified', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+    }
+  },
+
+  async down (queryInterface) {
+    await helpers.removeColumn(queryInterface, 'users', 'email_verified', ['username']);
+  }
+};
@@ -0,0 +1,21 @@
+var helpers = require('./helpers');
+
+// Self-service registration (registered users may need an admin's approval)
+module.exports = {
+  description: 'Add the status column to the users table',
+
+  async up (queryInterface, Sequelize) {
+    // databases created before migrations were introduced may already have it
+    if (!('status' in (await queryInterface.describeTable('users')))) {
+      await queryInterface.addColumn('users', 'status', {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'active'
+      });
+    }
+  },
+
+  async down (queryInterface) {
+    await helpers.removeColumn(queryInterface, 'users', 'status', ['username']);
+  }
+};
@@ -0,0 +1,47 @@
+// Audit log of logins and admin actions
+module.exports = {
+  description: 'Create the audit_log table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('audit_log', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      date: {
+        type: Sequelize.BIGINT
+      },
+      action: {
+        type: Sequelize.STRING
+      },
+      actor: {
+        type: Sequelize.STRING
+      },
+      target: {
+        type: Sequelize.STRING
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      success: {
+        type: Sequelize.BOOLEAN
+      },
+      changes: {
+        type: Sequelize.TEXT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('audit_log');
+  }
+};
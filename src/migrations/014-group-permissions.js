@@ -0,0 +1,43 @@
+// Permissions granted to groups
+module.exports = {
+  description: 'Create the group_permissions table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('group_permissions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'groups',
+          key: 'groupname'
+        }
+      },
+      permission: {
+        type: Sequelize.STRING
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      uniqueKeys: {
+        groupPermission: {
+          fields: ['groupname', 'permission'],
+          customIndex: true
+        }
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('group_permissions');
+  }
+};
@@ -0,0 +1,47 @@
+// Nested groups
+module.exports = {
+  description: 'Create the group_subgroups table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('group_subgroups', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      groupname: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'groups',
+          key: 'groupname'
+        }
+      },
+      subgroup: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'groups',
+          key: 'groupname'
+        }
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      uniqueKeys: {
+        groupSubgroup: {
+          fields: ['groupname', 'subgroup'],
+          customIndex: true
+        }
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('group_subgroups');
+  }
+};
@@ -0,0 +1,46 @@
+// Custom attributes of user profiles
+module.exports = {
+  description: 'Create the user_attributes table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('user_attributes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        references: {
+          model: 'users',
+          key: 'username'
+        }
+      },
+      name: {
+        type: Sequelize.STRING
+      },
+      value: {
+        type: Sequelize.TEXT
+      },
+      creation_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      update_timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      uniqueKeys: {
+        userAttribute: {
+          fields: ['username', 'name'],
+          customIndex: true
+        }
+      }
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('user_attributes');
+  }
+};
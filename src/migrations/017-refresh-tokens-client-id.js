@@ -0,0 +1,18 @@
+var helpers = require('./helpers');
+
+// Refresh tokens can only be redeemed by the OAuth client they were issued to
+module.exports = {
+  description: 'Add the client_id column to the refresh_tokens table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('refresh_tokens', 'client_id', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await helpers.removeColumn(queryInterface, 'refresh_tokens', 'client_id',
+      ['token_hash']);
+  }
+};
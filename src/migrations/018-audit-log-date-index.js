@@ -0,0 +1,12 @@
+// Old audit records are deleted by date as new ones are added
+module.exports = {
+  description: 'Add an index on the date column of the audit_log table',
+
+  async up (queryInterface) {
+    await queryInterface.addIndex('audit_log', ['date']);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeIndex('audit_log', ['date']);
+  }
+};
@@ -0,0 +1,18 @@
+var helpers = require('./helpers');
+
+// Refresh tokens issued to OAuth clients keep the scopes granted to them
+module.exports = {
+  description: 'Add the scope column to the refresh_tokens table',
+
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('refresh_tokens', 'scope', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await helpers.removeColumn(queryInterface, 'refresh_tokens', 'scope',
+      ['token_hash']);
+  }
+};
@@ -0,0 +1,21 @@
+// Functions shared by the migrations (only files starting with a number are
+// migrations)
+
+/**
+ * Remove a column from a table.
+ * sqlite can't drop columns, so sequelize rebuilds the whole table, losing
+ * its unique constraints: they're added back as unique indexes
+ * @param queryInterface
+ * @param table
+ * @param column
+ * @param uniqueColumns columns of the table whose values must be unique
+ */
+async function removeColumn (queryInterface, table, column, uniqueColumns = []) {
+  await queryInterface.removeColumn(table, column);
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    for (let uniqueColumn of uniqueColumns) {
+      await queryInterface.addIndex(table, [uniqueColumn], {unique: true});
+    }
+  }
+}
+exports.removeColumn = removeColumn;
@@ -0,0 +1,199 @@
+var crypto = require('crypto');
+
+/**
+ * Escape a string so that it can be safely included in an HTML page
+ * @param value
+ */
+function escapeHTML (value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a page containing a form shown by the /authorize endpoint.
+ * The parameters of the authorization request are kept in hidden fields, so
+ * that they're posted back along with the other fields
+ * @param title title of the page
+ * @param buttonLabel label of the submit button
+ * @param params parameters of the authorization request
+ * @param options object containing the following (optional) fields:
+ * - clientName: name of the client application
+ * - error: error message to be displayed
+ * @param fields HTML of the visible fields of the form
+ */
+function renderForm (title, buttonLabel, params, options, fields) {
+  let hiddenFields = Object.keys(params).map((name) =>
+    '<input type="hidden" name="' + escapeHTML(name) + '" value="' +
+    escapeHTML(params[name]) + '">').join('\n      ');
+  return '<!DOCTYPE html>\n' +
+    '<html>\n' +
+    '<head>\n' +
+    '  <meta charset="utf-8">\n' +
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    '  <title>' + escapeHTML(title) + '</title>\n' +
+    '</head>\n' +
+    '<body>\n' +
+    '  <h1>' + escapeHTML(title) + (options.clientName ? ' to ' + escapeHTML(options.clientName) : '') + '</h1>\n' +
+    (options.error ? '  <p class="error">' + escapeHTML(options.error) + '</p>\n' : '') +
+    '  <form method="post">\n' +
+    '      ' + hiddenFields + '\n' +
+    fields +
+    '    <button type="submit">' + escapeHTML(buttonLabel) + '</button>\n' +
+    '  </form>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+/**
+ * Render the login page shown by the /authorize endpoint
+ * @param params parameters of the authorization request
+ * @param options object containing the following (optional) fields:
+ * - clientName: name of the client application
+ * - error: error message to be displayed
+ * - username: username to be filled in
+ */
+function renderLoginPage (params, options = {}) {
+  return renderForm('Sign in', 'Sign in', params, options,
+    '    <label>Username <input type="text" name="username" value="' +
+    escapeHTML(options.username) + '" autofocus required></label>\n' +
+    '    <label>Password <input type="password" name="password" required></label>\n');
+}
+
+/**
+ * Render the page asking for a TOTP code (or a recovery code), shown by the
+ * /authorize endpoint after a user with two-factor authentication has
+ * provided valid credentials
+ * @param params parameters of the authorization request
+ * @param options object containing the following fields:
+ * - challenge: challenge token proving that the credentials were valid
+ * - error: error message to be displayed (optional)
+ */
+function renderMFAPage (params, options) {
+  return renderForm('Two-factor authentication', 'Verify', params, {error: options.error},
+    '    <input type="hidden" name="challenge" value="' + escapeHTML(options.challenge) + '">\n' +
+    '    <label>Authentication code <input type="text" name="code" inputmode="numeric" ' +
+    'autocomplete="one-time-code" autofocus></label>\n' +
+    '    <label>Recovery code <input type="text" name="recoveryCode" autocomplete="off"></label>\n');
+}
+
+/**
+ * Add the given parameters to the query string of a URL
+ * @param url
+ * @param params parameters to be added (undefined values are skipped)
+ */
+function buildRedirectURL (url, params) {
+  let query = Object.keys(params)
+    .filter((name) => typeof params[name] !== 'undefined')
+    .map((name) => encodeURIComponent(name) + '=' + encodeURIComponent(params[name]))
+    .join('&');
+  return url + (url.indexOf('?') >= 0 ? '&' : '?') + query;
+}
+
+/**
+ * Check a PKCE code verifier against the code challenge sent with the
+ * authorization request (RFC 7636). Only the S256 method is supported
+ * @param codeVerifier
+ * @param codeChallenge
+ */
+function verifyCodeChallenge (codeVerifier, codeChallenge) {
+  if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+    return false;
+  }
+  let computedChallenge = crypto.createHash('sha256').update(codeVerifier)
+    .digest('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return computedChallenge === codeChallenge;
+}
+
+/**
+ * Extract the client credentials from a token request, either from the
+ * Authorization header (client_secret_basic) or from the body
+ * (client_secret_post).
+ * Returns an object with the fields clientId and clientSecret, or null if
+ * the Authorization header is malformed
+ * @param req the request
+ */
+function getClientCredentials (req) {
+  let authHeader = req.get('Authorization');
+  if (authHeader) {
+    let parts = authHeader.split(' ');
+    if (parts.length >= 2 && parts[0].toLowerCase() === 'basic') {
+      let credentials = Buffer.from(parts[1], 'base64').toString('utf8');
+      let separatorIndex = credentials.indexOf(':');
+      if (separatorIndex >= 0) {
+        try {
+          return {
+            clientId: decodeURIComponent(credentials.substr(0, separatorIndex)),
+            clientSecret: decodeURIComponent(credentials.substr(separatorIndex + 1))
+          };
+        } catch (e) {
+          // invalid percent-encoding
+          return null;
+        }
+      }
+    }
+  }
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+}
+
+// claims each supported scope gives access to (sub is always included)
+var scopeClaims = {
+  openid: [],
+  profile: ['preferred_username', 'given_name', 'family_name'],
+  email: ['email', 'email_verified'],
+  groups: ['groups']
+};
+
+/**
+ * Return the scopes of a space separated list that are supported (the
+ * other ones are ignored), as a space separated list
+ * @param scope
+ */
+function grantScope (scope) {
+  return String(scope || '').split(' ').filter((name, index, names) =>
+    Object.prototype.hasOwnProperty.call(scopeClaims, name) &&
+    names.indexOf(name) === index).join(' ');
+}
+
+/**
+ * Build the OpenID Connect claims describing a user
+ * @param user user as returned by authDB.getUser(...)
+ * @param scope space separated list of granted scopes: only sub and the
+ *   claims they give access to are included (all of them if missing)
+ */
+function userClaims (user, scope) {
+  let claims = {
+    sub: user.username,
+    preferred_username: user.username,
+    email: user.email,
+    email_verified: Boolean(user.emailVerified),
+    given_name: user.firstName,
+    family_name: user.lastName,
+    groups: user.groups
+  };
+  if (typeof scope !== 'string') {
+    return claims;
+  }
+  let scopedClaims = {sub: claims.sub};
+  for (let name of grantScope(scope).split(' ').filter(Boolean)) {
+    for (let claim of scopeClaims[name]) {
+      scopedClaims[claim] = claims[claim];
+    }
+  }
+  return scopedClaims;
+}
+
+exports.escapeHTML = escapeHTML;
+exports.renderLoginPage = renderLoginPage;
+exports.renderMFAPage = renderMFAPage;
+exports.buildRedirectURL = buildRedirectURL;
+exports.verifyCodeChallenge = verifyCodeChallenge;
+exports.getClientCredentials = getClientCredentials;
+exports.grantScope = grantScope;
+exports.userClaims = userClaims;
@@ -0,0 +1,136 @@
+var crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238), with the parameters supported by
+// all the common authenticator apps
+var config = {
+  // length of the time steps, in seconds
+  period: 30,
+  // number of digits of each code
+  digits: 6,
+  // number of time steps before and after the current one whose codes are
+  // accepted (to allow for clock drift)
+  window: 1,
+  // size of the generated secrets
+  secretBytes: 20
+};
+
+var base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer using base32 (RFC 4648, without padding), which is how
+ * secrets are shown to users and passed to authenticator apps
+ * @param {!Buffer} buffer
+ */
+function base32Encode (buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string (padding and case are ignored)
+ * @param {!String} string
+ */
+function base32Decode (string) {
+  let bits = 0;
+  let value = 0;
+  let bytes = [];
+  for (let char of string.toUpperCase().replace(/=+$/, '')) {
+    let index = base32Alphabet.indexOf(char);
+    if (index < 0) {
+      throw new Error('Invalid base32 character: ' + char);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret (base32 encoded)
+ */
+function generateSecret () {
+  return base32Encode(crypto.randomBytes(config.secretBytes));
+}
+
+/**
+ * Compute the code for a given time step (HOTP, RFC 4226)
+ * @param {!String} secret base32 encoded secret
+ * @param {!Number} step time step (UNIX time divided by the period)
+ */
+function generateCode (secret, step) {
+  let counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+  let hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  let offset = hmac[hmac.length - 1] & 0xf;
+  let binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  let code = String(binary % Math.pow(10, config.digits));
+  while (code.length < config.digits) {
+    code = '0' + code;
+  }
+  return code;
+}
+
+/**
+ * Check a code against a secret.
+ * Returns the time step the code belongs to (so that callers can make sure
+ * each code is only used once), or null if the code is not valid
+ * @param {!String} secret base32 encoded secret
+ * @param {String} code code provided by the user
+ */
+function verifyCode (secret, code) {
+  code = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== config.digits) {
+    return null;
+  }
+  let currentStep = Math.floor(Date.now() / 1000 / config.period);
+  for (let step = currentStep - config.window; step <= currentStep + config.window; step++) {
+    let expectedCode = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expectedCode), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI used to enroll a secret in an authenticator app
+ * (usually shown as a QR code)
+ * @param {!String} secret base32 encoded secret
+ * @param {!String} accountName name of the account (e.g. the username)
+ * @param {!String} issuer name of the service the account belongs to
+ */
+function buildOtpauthURI (secret, accountName, issuer) {
+  let label = encodeURIComponent(issuer) + ':' + encodeURIComponent(accountName);
+  return 'otpauth://totp/' + label +
+    '?secret=' + secret +
+    '&issuer=' + encodeURIComponent(issuer) +
+    '&algorithm=SHA1' +
+    '&digits=' + config.digits +
+    '&period=' + config.period;
+}
+
+exports.generateSecret = generateSecret;
+exports.generateCode = generateCode;
+exports.verifyCode = verifyCode;
+exports.buildOtpauthURI = buildOtpauthURI;